@@ -0,0 +1,88 @@
+// mock-feed-server.js
+//
+// Local stand-in for a live exceedance feed, for trying the dashboard's Live Feed panel.
+// Starting from the sample CSV it invents a few new readings every interval, continuing
+// the sample's timeline, and serves them as:
+//
+//   GET  http://localhost:4000/exceedances.csv   every row so far, as CSV
+//   GET  http://localhost:4000/exceedances.json  every row so far, as a JSON array
+//   WS   ws://localhost:4000/stream              each new batch as a JSON array
+//
+// Usage: npm run mock-feed   (PORT and FEED_INTERVAL_MS can be set in the environment)
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Papa = require('papaparse');
+const WebSocket = require('ws');
+
+const PORT = parseInt(process.env.PORT || '4000', 10);
+const INTERVAL_MS = parseInt(process.env.FEED_INTERVAL_MS || '5000', 10);
+// Simulated time that passes between batches
+const STEP_SECONDS = 10 * 60;
+const COLUMNS = [
+  'UNIX_TIME',
+  'ASSET_NAME',
+  'RECORDING_ID',
+  'POSITION_YARDS',
+  'LATITUDE',
+  'LONGITUDE',
+  'SCORE',
+];
+
+const sample = Papa.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'public', 'ta_exceedences.csv'), 'utf8'),
+  { header: true, dynamicTyping: true, skipEmptyLines: true }
+).data.filter((row) => COLUMNS.every((column) => row[column] !== null && row[column] !== ''));
+
+const rows = [...sample];
+let clock = sample.reduce((max, row) => Math.max(max, row.UNIX_TIME), 0);
+let recordingId = sample.reduce((max, row) => Math.max(max, row.RECORDING_ID), 0);
+
+// A new run passing a few known locations, a little hotter or cooler than before
+const createBatch = () => {
+  clock += STEP_SECONDS;
+  recordingId += 1;
+  const count = 1 + Math.floor(Math.random() * 3);
+  return Array.from({ length: count }, (_, index) => {
+    const template = sample[Math.floor(Math.random() * sample.length)];
+    return {
+      ...template,
+      UNIX_TIME: clock + index * 30,
+      RECORDING_ID: recordingId,
+      SCORE: Math.max(40, Math.min(85, template.SCORE + Math.round(Math.random() * 10 - 5))),
+    };
+  });
+};
+
+const server = http.createServer((request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Cache-Control', 'no-store');
+
+  if (request.url.startsWith('/exceedances.csv')) {
+    response.setHeader('Content-Type', 'text/csv');
+    response.end(Papa.unparse(rows, { columns: COLUMNS }));
+  } else if (request.url.startsWith('/exceedances.json')) {
+    response.setHeader('Content-Type', 'application/json');
+    response.end(JSON.stringify(rows));
+  } else {
+    response.statusCode = 404;
+    response.end('Not found');
+  }
+});
+
+const sockets = new WebSocket.Server({ server, path: '/stream' });
+
+setInterval(() => {
+  const batch = createBatch();
+  rows.push(...batch);
+  const message = JSON.stringify(batch);
+  sockets.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) client.send(message);
+  });
+  console.log(`${new Date().toLocaleTimeString()} added ${batch.length} row(s), ${rows.length} in total`);
+}, INTERVAL_MS);
+
+server.listen(PORT, () => {
+  console.log(`Mock feed on http://localhost:${PORT}/exceedances.csv (or .json)`);
+  console.log(`WebSocket stream on ws://localhost:${PORT}/stream`);
+});
@@ -0,0 +1,371 @@
+// AlertsDrawer.jsx
+import React, { useRef, useState } from 'react';
+import {
+  RULE_TYPES,
+  createRule,
+  validateRules,
+  exportAlertRules,
+  parseAlertRulesFile,
+  getAlertStatus,
+} from './alertRules';
+import { downloadFile } from './exporters';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SNOOZE_OPTIONS = [
+  { label: '1 hour', value: HOUR_MS },
+  { label: '1 day', value: 24 * HOUR_MS },
+  { label: '1 week', value: 7 * 24 * HOUR_MS },
+];
+
+// Side drawer listing alerts raised by the rules, with acknowledge, snooze and
+// show-on-map actions, and an editor for the rules themselves
+const AlertsDrawer = ({
+  alerts,
+  alertStates,
+  onChangeAlertStates,
+  settings,
+  onChangeSettings,
+  onShowAlert,
+  onClose,
+  severityBands,
+  isDarkMode,
+}) => {
+  const fileInputRef = useRef(null);
+  const [tab, setTab] = useState('alerts');
+  const [showHandled, setShowHandled] = useState(false);
+  const [draft, setDraft] = useState(settings.rules);
+  const [message, setMessage] = useState(null);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const inputStyle = {
+    padding: '4px',
+    border: `1px solid ${borderColor}`,
+    borderRadius: '4px',
+    fontSize: '12px',
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+  };
+  const buttonStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+  const tabStyle = (name) => ({
+    ...buttonStyle,
+    ...(tab === name && { border: 'none', backgroundColor: '#60348c', color: '#ffffff' }),
+  });
+
+  const now = Date.now();
+  const withStatus = alerts.map((alert) => ({
+    ...alert,
+    status: getAlertStatus(alert, alertStates, now),
+  }));
+  const activeCount = withStatus.filter((alert) => alert.status === 'active').length;
+  const listed = showHandled ? withStatus : withStatus.filter((alert) => alert.status === 'active');
+
+  const updateAlertState = (id, state) => {
+    onChangeAlertStates({ ...alertStates, [id]: { ...alertStates[id], ...state } });
+  };
+
+  const problems = validateRules(draft);
+  const updateRule = (id, changes) => {
+    setDraft(draft.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleToggleNotifications = async (enabled) => {
+    if (!enabled) {
+      onChangeSettings({ ...settings, notificationsEnabled: false });
+      return;
+    }
+    if (!('Notification' in window)) {
+      setMessage({ text: 'This browser does not support notifications', isError: true });
+      return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission === 'granted') {
+      onChangeSettings({ ...settings, notificationsEnabled: true });
+    } else {
+      setMessage({ text: 'Notification permission was not granted', isError: true });
+    }
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const imported = parseAlertRulesFile(await file.text());
+      setDraft([...draft, ...imported]);
+      setMessage({ text: `Imported ${imported.length} rule(s); save to apply`, isError: false });
+    } catch (error) {
+      setMessage({ text: `Import failed: ${error.message}`, isError: true });
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        right: 0,
+        width: '420px',
+        maxWidth: '100%',
+        height: '100vh',
+        overflowY: 'auto',
+        boxSizing: 'border-box',
+        padding: '16px',
+        backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+        boxShadow: '0 0 10px rgba(0,0,0,0.3)',
+        zIndex: 2000,
+        fontSize: '14px',
+        color: textColor,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '12px',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Alerts</strong>
+        <button onClick={onClose} style={buttonStyle}>
+          Close
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={() => setTab('alerts')} style={tabStyle('alerts')}>
+          Alerts ({activeCount})
+        </button>
+        <button onClick={() => setTab('rules')} style={tabStyle('rules')}>
+          Rules ({settings.rules.length})
+        </button>
+      </div>
+
+      {message && (
+        <div style={{ fontSize: '12px', color: message.isError ? '#ef4444' : textColor }}>
+          {message.text}
+        </div>
+      )}
+
+      {tab === 'alerts' && (
+        <>
+          <label style={{ fontSize: '12px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={showHandled}
+              onChange={(e) => setShowHandled(e.target.checked)}
+              style={{ marginRight: '4px' }}
+            />
+            Include acknowledged and snoozed
+          </label>
+
+          {listed.length === 0 && <div style={{ fontSize: '12px' }}>No alerts.</div>}
+
+          {listed.map((alert) => (
+            <div
+              key={alert.id}
+              style={{
+                border: `1px solid ${alert.status === 'active' ? '#ef4444' : borderColor}`,
+                borderRadius: '4px',
+                padding: '8px',
+                fontSize: '12px',
+                opacity: alert.status === 'active' ? 1 : 0.7,
+              }}
+            >
+              <div style={{ fontWeight: 'bold' }}>{alert.message}</div>
+              <div>{alert.ruleDescription}</div>
+              <div>
+                Latest {new Date(alert.time * 1000).toLocaleString()}
+                {alert.status === 'acknowledged' && ' · Acknowledged'}
+                {alert.status === 'snoozed' &&
+                  ` · Snoozed until ${new Date(alertStates[alert.id].snoozedUntil).toLocaleString()}`}
+              </div>
+              <div style={{ display: 'flex', gap: '6px', marginTop: '6px', flexWrap: 'wrap' }}>
+                <button onClick={() => onShowAlert(alert)} style={buttonStyle}>
+                  Show on Map
+                </button>
+                {alert.status === 'active' ? (
+                  <>
+                    <button
+                      onClick={() => updateAlertState(alert.id, { acknowledged: true })}
+                      style={buttonStyle}
+                    >
+                      Acknowledge
+                    </button>
+                    <select
+                      value=""
+                      onChange={(e) =>
+                        updateAlertState(alert.id, {
+                          snoozedUntil: Date.now() + parseInt(e.target.value),
+                        })
+                      }
+                      style={inputStyle}
+                    >
+                      <option value="" disabled>
+                        Snooze...
+                      </option>
+                      {SNOOZE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                ) : (
+                  <button
+                    onClick={() =>
+                      updateAlertState(alert.id, { acknowledged: false, snoozedUntil: null })
+                    }
+                    style={buttonStyle}
+                  >
+                    Reopen
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      {tab === 'rules' && (
+        <>
+          <label style={{ fontSize: '12px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={settings.notificationsEnabled}
+              onChange={(e) => handleToggleNotifications(e.target.checked)}
+              style={{ marginRight: '4px' }}
+            />
+            Browser notifications for new alerts
+          </label>
+
+          {draft.map((rule) => (
+            <div
+              key={rule.id}
+              style={{
+                border: `1px solid ${borderColor}`,
+                borderRadius: '4px',
+                padding: '8px',
+                fontSize: '12px',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '6px',
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                <label style={{ cursor: 'pointer', fontWeight: 'bold' }}>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                    style={{ marginRight: '4px' }}
+                  />
+                  {RULE_TYPES[rule.type].label}
+                </label>
+                <button
+                  onClick={() => setDraft(draft.filter((candidate) => candidate.id !== rule.id))}
+                  style={buttonStyle}
+                >
+                  Remove
+                </button>
+              </div>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+                {RULE_TYPES[rule.type].fields.map((field) => (
+                  <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    {field.label}
+                    {field.type === 'severity' ? (
+                      <select
+                        value={rule.params[field.key]}
+                        onChange={(e) =>
+                          updateRule(rule.id, {
+                            params: { ...rule.params, [field.key]: e.target.value },
+                          })
+                        }
+                        style={inputStyle}
+                      >
+                        {severityBands.map((band) => (
+                          <option key={band.id} value={band.id}>
+                            {band.name}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="number"
+                        value={Number.isFinite(rule.params[field.key]) ? rule.params[field.key] : ''}
+                        onChange={(e) =>
+                          updateRule(rule.id, {
+                            params: {
+                              ...rule.params,
+                              [field.key]: e.target.value === '' ? NaN : parseFloat(e.target.value),
+                            },
+                          })
+                        }
+                        style={{ ...inputStyle, width: '60px' }}
+                      />
+                    )}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {problems.length > 0 && (
+            <div style={{ fontSize: '12px', color: '#ef4444' }}>{problems.join('. ')}</div>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            <select
+              value=""
+              onChange={(e) => setDraft([...draft, createRule(e.target.value)])}
+              style={inputStyle}
+            >
+              <option value="" disabled>
+                Add rule...
+              </option>
+              {Object.entries(RULE_TYPES).map(([type, definition]) => (
+                <option key={type} value={type}>
+                  {definition.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                onChangeSettings({ ...settings, rules: draft });
+                setMessage({ text: 'Rules saved', isError: false });
+              }}
+              disabled={problems.length > 0}
+              style={{ ...buttonStyle, border: 'none', backgroundColor: '#60348c', color: '#ffffff' }}
+            >
+              Save Rules
+            </button>
+            <button
+              onClick={() =>
+                downloadFile(exportAlertRules(settings), 'alert-rules.json', 'application/json')
+              }
+              style={buttonStyle}
+            >
+              Export
+            </button>
+            <button onClick={() => fileInputRef.current.click()} style={buttonStyle}>
+              Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                if (e.target.files[0]) handleImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+              style={{ display: 'none' }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AlertsDrawer;
@@ -0,0 +1,156 @@
+// AmbientChart.jsx
+import React, { useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ReferenceArea,
+} from 'recharts';
+import { MILD_AIR_TEMP } from './weatherData';
+import { sampleChartRows } from './report';
+
+// Tooltip describing the reading under the cursor and the weather it was matched to
+const PointTooltip = ({ active, payload, isDarkMode }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const point = payload[0].payload;
+
+  return (
+    <div
+      style={{
+        padding: '6px 8px',
+        fontSize: '12px',
+        borderRadius: '4px',
+        backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+        color: isDarkMode ? '#ffffff' : '#000000',
+        boxShadow: '0 0 4px rgba(0,0,0,0.3)',
+      }}
+    >
+      <strong>{point.SCORE}°C</strong> at {point.POSITION_YARDS} yards
+      <br />
+      {point.ambientTemp}°C air
+      {point.solarRadiation !== null && `, ${point.solarRadiation} W/m² solar`}
+      <br />
+      Recording {point.RECORDING_ID}, {point.date}
+    </div>
+  );
+};
+
+// Scatter of temperature against the ambient air temperature at the time, one series
+// per severity band. Points left of the mild line ran hot without help from the weather.
+// Large selections are sampled for plotting, keeping the peaks.
+const AmbientChart = ({ data, onHoverPoint, severityBands, isDarkMode }) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const gridColor = isDarkMode ? '#404040' : '#ddd';
+
+  const matched = useMemo(() => data.filter((row) => row.ambientTemp !== undefined), [data]);
+  const chartRows = useMemo(() => sampleChartRows(matched), [matched]);
+
+  const series = useMemo(
+    () =>
+      severityBands.map((band) => ({
+        band,
+        points: chartRows.filter((row) => row.severity === band.id),
+      })),
+    [chartRows, severityBands]
+  );
+
+  // The hottest exceedance recorded on a mild day, if any
+  const hottestMild = useMemo(
+    () =>
+      matched
+        .filter((row) => row.ambientTemp <= MILD_AIR_TEMP)
+        .reduce((hottest, row) => (!hottest || row.SCORE > hottest.SCORE ? row : hottest), null),
+    [matched]
+  );
+
+  return (
+    <div>
+      <div style={{ marginBottom: '4px', fontSize: '14px', color: textColor }}>
+        Temperature vs. Ambient Air:
+      </div>
+      <div style={{ marginBottom: '4px', fontSize: '12px', color: textColor }}>
+        {matched.length} of {data.length} exceedances have a weather reading
+        {hottestMild &&
+          `; hottest at or below ${MILD_AIR_TEMP}°C air: ${hottestMild.SCORE}°C at ` +
+            `${hottestMild.POSITION_YARDS} yards (${hottestMild.ambientTemp}°C air)`}
+      </div>
+      {chartRows.length < matched.length && (
+        <div style={{ marginBottom: '4px', fontSize: '12px', color: textColor }}>
+          Showing {chartRows.length} of {matched.length} matched exceedances: the hottest and an
+          even sample of the rest.
+        </div>
+      )}
+      <div style={{ height: '260px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 0 }}>
+            <CartesianGrid stroke={gridColor} strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey="ambientTemp"
+              name="Air temperature"
+              unit="°C"
+              domain={['dataMin - 2', 'dataMax + 2']}
+              tick={{ fill: textColor, fontSize: 12 }}
+              label={{
+                value: 'Ambient air (°C)',
+                position: 'insideBottom',
+                offset: -10,
+                fill: textColor,
+                fontSize: 12,
+              }}
+            />
+            <YAxis
+              type="number"
+              dataKey="SCORE"
+              name="Temperature"
+              unit="°C"
+              domain={['dataMin - 5', 'dataMax + 5']}
+              tick={{ fill: textColor, fontSize: 12 }}
+            />
+            <Tooltip
+              cursor={{ strokeDasharray: '3 3' }}
+              content={<PointTooltip isDarkMode={isDarkMode} />}
+            />
+            {/* Shade mild days, where a high reading points at the location itself */}
+            <ReferenceArea
+              x2={MILD_AIR_TEMP}
+              fill="#60348c"
+              fillOpacity={0.08}
+              ifOverflow="hidden"
+            />
+            <ReferenceLine
+              x={MILD_AIR_TEMP}
+              stroke="#60348c"
+              strokeDasharray="6 3"
+              ifOverflow="hidden"
+              label={{
+                value: `Mild ≤ ${MILD_AIR_TEMP}°C`,
+                position: 'insideTopLeft',
+                fill: textColor,
+                fontSize: 11,
+              }}
+            />
+            {series.map(({ band, points }) => (
+              <Scatter
+                key={band.id}
+                name={band.name}
+                data={points}
+                fill={band.color}
+                isAnimationActive={false}
+                onMouseEnter={(entry) => onHoverPoint(entry.payload)}
+                onMouseLeave={() => onHoverPoint(null)}
+              />
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default AmbientChart;
@@ -0,0 +1,100 @@
+// AnnotationEditor.jsx
+import React, { useState } from 'react';
+import { ANNOTATION_STATUSES } from './annotations';
+
+// Form for the status, assignee, due date and notes of an exceedance or hotspot.
+// Shown in map popups and the hotspot list; `onRemove` is only passed when there
+// is a saved annotation to remove.
+const AnnotationEditor = ({ annotation, onSave, onRemove, onCancel, isDarkMode }) => {
+  const [status, setStatus] = useState(annotation ? annotation.status : ANNOTATION_STATUSES[0].id);
+  const [assignee, setAssignee] = useState(annotation ? annotation.assignee : '');
+  const [dueDate, setDueDate] = useState(annotation ? annotation.dueDate : '');
+  const [notes, setNotes] = useState(annotation ? annotation.notes : '');
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const inputStyle = {
+    padding: '4px',
+    border: `1px solid ${borderColor}`,
+    borderRadius: '4px',
+    fontSize: '12px',
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+  };
+  const buttonStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: '2px' };
+
+  return (
+    <div
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        fontSize: '12px',
+        color: textColor,
+        minWidth: '220px',
+      }}
+    >
+      <label style={labelStyle}>
+        Status
+        <select value={status} onChange={(e) => setStatus(e.target.value)} style={inputStyle}>
+          {ANNOTATION_STATUSES.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.icon} {option.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        Assignee
+        <input
+          type="text"
+          value={assignee}
+          onChange={(e) => setAssignee(e.target.value)}
+          style={inputStyle}
+        />
+      </label>
+      <label style={labelStyle}>
+        Due date
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          style={inputStyle}
+        />
+      </label>
+      <label style={labelStyle}>
+        Notes
+        <textarea
+          value={notes}
+          rows={3}
+          onChange={(e) => setNotes(e.target.value)}
+          style={{ ...inputStyle, resize: 'vertical' }}
+        />
+      </label>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={() => onSave({ status, assignee, dueDate, notes })} style={buttonStyle}>
+          Save
+        </button>
+        {onRemove && (
+          <button onClick={onRemove} style={{ ...buttonStyle, color: '#ef4444' }}>
+            Remove
+          </button>
+        )}
+        <button onClick={onCancel} style={buttonStyle}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationEditor;
@@ -0,0 +1,80 @@
+// AnnotationsPanel.jsx
+import React, { useRef, useState } from 'react';
+import {
+  ANNOTATION_STATUSES,
+  exportAnnotations,
+  parseAnnotationsFile,
+  mergeAnnotations,
+} from './annotations';
+import { downloadFile } from './exporters';
+
+// Counts of saved annotations by status, with export and import so a team can share them
+const AnnotationsPanel = ({ annotations, onChange, isDarkMode }) => {
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const buttonStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const imported = parseAnnotationsFile(await file.text());
+      onChange(mergeAnnotations(annotations, imported));
+      setMessage({ text: `Imported ${imported.length} annotation(s)`, isError: false });
+    } catch (error) {
+      setMessage({ text: `Import failed: ${error.message}`, isError: true });
+    }
+  };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ marginBottom: '4px' }}>Annotations:</div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        {ANNOTATION_STATUSES.map((status) => (
+          <span key={status.id} style={{ fontSize: '12px' }}>
+            {status.icon} {status.name}:{' '}
+            {annotations.filter((annotation) => annotation.status === status.id).length}
+          </span>
+        ))}
+        <button
+          onClick={() =>
+            downloadFile(exportAnnotations(annotations), 'annotations.json', 'application/json')
+          }
+          disabled={annotations.length === 0}
+          style={buttonStyle}
+        >
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current.click()} style={buttonStyle}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => {
+            if (e.target.files[0]) handleImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+        {message && (
+          <span style={{ fontSize: '12px', color: message.isError ? '#ef4444' : textColor }}>
+            {message.text}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationsPanel;
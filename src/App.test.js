@@ -1,8 +1,28 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  // No route manifest in the test environment, so the dashboard starts empty
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  // jsdom does no layout, so give the charts' containers a size to render into
+  jest
+    .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+    .mockReturnValue({ width: 800, height: 300, top: 0, left: 0, right: 800, bottom: 300 });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('renders the dashboard filters and reports a manifest that cannot be loaded', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('Search:')).toBeInTheDocument();
+  expect(await screen.findByText('Could not load the route manifest: offline')).toBeInTheDocument();
+  expect(console.error).toHaveBeenCalledWith('Load error:', expect.any(Error));
 });
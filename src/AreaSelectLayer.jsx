@@ -0,0 +1,126 @@
+// AreaSelectLayer.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { Polygon, useMap } from 'react-leaflet';
+
+// Lasso vertices closer than this many pixels to the previous one are skipped
+const LASSO_MIN_PIXELS = 6;
+
+const toVertex = (latlng) => [latlng.lat, latlng.lng];
+
+const getRectangle = (start, end) => [
+  [start.lat, start.lng],
+  [start.lat, end.lng],
+  [end.lat, end.lng],
+  [end.lat, start.lng],
+];
+
+// Outline of the selected map area. While `mode` is 'rectangle' or 'lasso' the map stops
+// panning and dragging on it with a mouse, pen or finger draws a new area, reported on
+// release through `onDraw` as [[lat, lng], ...]; Escape calls `onCancel`.
+const AreaSelectLayer = ({ mode, area, onDraw, onCancel }) => {
+  const map = useMap();
+  const [draft, setDraft] = useState(null);
+  const onDrawRef = useRef(onDraw);
+  const onCancelRef = useRef(onCancel);
+
+  // Always call the latest handlers without restarting the drawing mode
+  useEffect(() => {
+    onDrawRef.current = onDraw;
+    onCancelRef.current = onCancel;
+  });
+
+  useEffect(() => {
+    if (!mode) return undefined;
+    const container = map.getContainer();
+    // The area being drawn, kept here so each pointer event sees the latest one
+    let current = null;
+    let pointerId = null;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancelRef.current();
+    };
+    const handlePointerDown = (e) => {
+      // One pointer draws; a second finger, other mouse buttons and map controls are ignored
+      if (pointerId !== null || (e.pointerType === 'mouse' && e.button !== 0)) return;
+      if (!map.getPane('mapPane').contains(e.target)) return;
+      pointerId = e.pointerId;
+      container.setPointerCapture(e.pointerId);
+      const latlng = map.mouseEventToLatLng(e);
+      current = {
+        start: latlng,
+        lastPoint: map.mouseEventToContainerPoint(e),
+        vertices: [toVertex(latlng)],
+      };
+      setDraft(current);
+    };
+    const handlePointerMove = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const latlng = map.mouseEventToLatLng(e);
+      const point = map.mouseEventToContainerPoint(e);
+      if (mode === 'rectangle') {
+        current = { ...current, vertices: getRectangle(current.start, latlng) };
+      } else if (point.distanceTo(current.lastPoint) >= LASSO_MIN_PIXELS) {
+        current = { ...current, lastPoint: point, vertices: [...current.vertices, toVertex(latlng)] };
+      } else {
+        return;
+      }
+      setDraft(current);
+    };
+    const handlePointerUp = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const { vertices } = current;
+      pointerId = null;
+      current = null;
+      setDraft(null);
+      // A tap without a drag leaves too few vertices to enclose anything
+      if (e.type === 'pointerup' && vertices.length >= 3) onDrawRef.current(vertices);
+    };
+
+    map.dragging.disable();
+    map.boxZoom.disable();
+    map.touchZoom.disable();
+    map.doubleClickZoom.disable();
+    container.style.cursor = 'crosshair';
+    // Keep the browser from scrolling or zooming the page while a finger draws
+    container.style.touchAction = 'none';
+    container.addEventListener('pointerdown', handlePointerDown);
+    container.addEventListener('pointermove', handlePointerMove);
+    container.addEventListener('pointerup', handlePointerUp);
+    container.addEventListener('pointercancel', handlePointerUp);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      map.dragging.enable();
+      map.boxZoom.enable();
+      map.touchZoom.enable();
+      map.doubleClickZoom.enable();
+      container.style.cursor = '';
+      container.style.touchAction = '';
+      container.removeEventListener('pointerdown', handlePointerDown);
+      container.removeEventListener('pointermove', handlePointerMove);
+      container.removeEventListener('pointerup', handlePointerUp);
+      container.removeEventListener('pointercancel', handlePointerUp);
+      document.removeEventListener('keydown', handleKeyDown);
+      setDraft(null);
+    };
+  }, [map, mode]);
+
+  if (draft) {
+    return (
+      <Polygon
+        positions={draft.vertices}
+        pathOptions={{ color: '#60348c', weight: 2, dashArray: '4 4', fillOpacity: 0.05 }}
+        interactive={false}
+      />
+    );
+  }
+  if (!area) return null;
+  return (
+    <Polygon
+      positions={area}
+      pathOptions={{ color: '#60348c', weight: 2, dashArray: '6 4', fillOpacity: 0.08 }}
+      interactive={false}
+    />
+  );
+};
+
+export default AreaSelectLayer;
@@ -0,0 +1,50 @@
+// ComparisonLayer.jsx
+import React, { useMemo } from 'react';
+import { CircleMarker, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { getRowKey } from './csvData';
+import { COMPARISON_COLORS } from './comparison';
+
+// Rows of both comparison sides, drawn on a canvas: A as filled dots and B as larger
+// rings, so where both exceed the B ring surrounds the A dot
+const ComparisonLayer = ({ rowsA, rowsB }) => {
+  const canvasRenderer = useMemo(() => L.canvas({ padding: 0.5 }), []);
+
+  return (
+    <>
+      {rowsA.map((row) => (
+        <CircleMarker
+          key={`a-${getRowKey(row)}`}
+          center={[row.LATITUDE, row.LONGITUDE]}
+          radius={5}
+          renderer={canvasRenderer}
+          pathOptions={{
+            color: '#ffffff',
+            weight: 1,
+            fillColor: COMPARISON_COLORS.a,
+            fillOpacity: 0.9,
+          }}
+        >
+          <Tooltip>
+            A: {row.SCORE}°C at {row.POSITION_YARDS} yards, {row.date}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+      {rowsB.map((row) => (
+        <CircleMarker
+          key={`b-${getRowKey(row)}`}
+          center={[row.LATITUDE, row.LONGITUDE]}
+          radius={9}
+          renderer={canvasRenderer}
+          pathOptions={{ color: COMPARISON_COLORS.b, weight: 3, fillOpacity: 0 }}
+        >
+          <Tooltip>
+            B: {row.SCORE}°C at {row.POSITION_YARDS} yards, {row.date}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+};
+
+export default ComparisonLayer;
@@ -0,0 +1,216 @@
+// ComparisonPanel.jsx
+import React from 'react';
+import {
+  COMPARISON_COLORS,
+  SECTION_SIZES,
+  createDefaultComparison,
+  describeSelection,
+} from './comparison';
+
+// Change from A to B, red when B is worse and green when it is better
+const Change = ({ value, unit = '' }) => {
+  if (value === null) return <span>–</span>;
+  const color = value > 0 ? '#ef4444' : value < 0 ? '#22c55e' : 'inherit';
+  return (
+    <span style={{ color }}>
+      {value > 0 ? '+' : ''}
+      {value}
+      {unit}
+    </span>
+  );
+};
+
+// Comparison mode: pick two date ranges or recordings as A and B, then see their
+// counts and peak temperatures side by side, overall and per section of track
+const ComparisonPanel = ({ comparison, onChange, runs, result, isDarkMode }) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const inputStyle = {
+    padding: '4px',
+    border: `1px solid ${borderColor}`,
+    borderRadius: '4px',
+    fontSize: '12px',
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+  };
+  const columns = '1.5fr 1fr 1fr 1fr 1fr 1fr 1fr';
+
+  const updateSide = (side, changes) =>
+    onChange({ ...comparison, [side]: { ...comparison[side], ...changes } });
+
+  const renderSide = (side) => {
+    const selection = comparison[side];
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <span
+          style={{
+            padding: '2px 8px',
+            borderRadius: '4px',
+            backgroundColor: COMPARISON_COLORS[side],
+            color: '#ffffff',
+            fontWeight: 'bold',
+          }}
+        >
+          {side.toUpperCase()}
+        </span>
+        <select
+          value={selection.type}
+          onChange={(e) => updateSide(side, { type: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="dates">Date range</option>
+          <option value="recording">Recording</option>
+        </select>
+        {selection.type === 'dates' ? (
+          <>
+            <input
+              type="date"
+              value={selection.from}
+              onChange={(e) => updateSide(side, { from: e.target.value })}
+              style={inputStyle}
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={selection.to}
+              onChange={(e) => updateSide(side, { to: e.target.value })}
+              style={inputStyle}
+            />
+          </>
+        ) : (
+          <select
+            value={selection.recordingId === null ? '' : selection.recordingId}
+            onChange={(e) =>
+              updateSide(side, {
+                recordingId: e.target.value === '' ? null : parseInt(e.target.value),
+              })
+            }
+            style={inputStyle}
+          >
+            <option value="">Choose a recording</option>
+            {runs.map((run) => (
+              <option key={run.recordingId} value={run.recordingId}>
+                {run.recordingId} ({new Date(run.start * 1000).toLocaleDateString()}, {run.count}{' '}
+                exceedances)
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <label style={{ cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={comparison !== null}
+          onChange={(e) => onChange(e.target.checked ? createDefaultComparison(runs) : null)}
+          style={{ marginRight: '6px' }}
+        />
+        Compare two periods or recordings
+      </label>
+
+      {comparison && (
+        <div
+          style={{
+            marginTop: '8px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            fontSize: '12px',
+          }}
+        >
+          {renderSide('a')}
+          {renderSide('b')}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            Sections of
+            <select
+              value={comparison.sectionYards}
+              onChange={(e) => onChange({ ...comparison, sectionYards: parseInt(e.target.value) })}
+              style={inputStyle}
+            >
+              {SECTION_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size} yards
+                </option>
+              ))}
+            </select>
+            <span>
+              A and B replace the date and recording filters; the other filters still apply.
+            </span>
+          </div>
+
+          {/* Overall figures */}
+          <div>
+            {['a', 'b'].map((side) => (
+              <div key={side}>
+                <strong>{side.toUpperCase()}</strong> ({describeSelection(comparison[side])}):{' '}
+                {result.overall[side].count} exceedances, peak{' '}
+                {result.overall[side].peakScore ?? '–'}°C
+              </div>
+            ))}
+            <div>
+              <strong>B − A</strong>: <Change value={result.overall.countChange} /> exceedances,{' '}
+              <Change value={result.overall.peakChange} unit="°C" /> peak
+            </div>
+          </div>
+
+          {/* Per-section differences */}
+          {result.sections.length > 0 && (
+            <div style={{ border: `1px solid ${borderColor}`, borderRadius: '4px' }}>
+              <div
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: columns,
+                  gap: '10px',
+                  padding: '6px 8px',
+                  fontWeight: 'bold',
+                  borderBottom: `1px solid ${borderColor}`,
+                }}
+              >
+                <div>Section (yards)</div>
+                <div>A count</div>
+                <div>B count</div>
+                <div>Change</div>
+                <div>A peak (°C)</div>
+                <div>B peak (°C)</div>
+                <div>Change</div>
+              </div>
+              <div style={{ maxHeight: '240px', overflowY: 'auto' }}>
+                {result.sections.map((section) => (
+                  <div
+                    key={section.start}
+                    style={{
+                      display: 'grid',
+                      gridTemplateColumns: columns,
+                      gap: '10px',
+                      padding: '4px 8px',
+                    }}
+                  >
+                    <div>
+                      {section.start}–{section.end}
+                    </div>
+                    <div>{section.a.count}</div>
+                    <div>{section.b.count}</div>
+                    <div>
+                      <Change value={section.countChange} />
+                    </div>
+                    <div>{section.a.peakScore ?? '–'}</div>
+                    <div>{section.b.peakScore ?? '–'}</div>
+                    <div>
+                      <Change value={section.peakChange} unit="°C" />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
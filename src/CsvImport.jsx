@@ -0,0 +1,111 @@
+// CsvImport.jsx
+import React, { useRef, useState } from 'react';
+
+// Drag-and-drop / file picker for merging extra exceedance CSVs into the dashboard
+const CsvImport = ({ onImport, isDarkMode }) => {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [reports, setReports] = useState([]);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+
+  // Hand the selected files to the dashboard and keep the per-file summary
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList).filter((file) =>
+      file.name.toLowerCase().endsWith('.csv')
+    );
+    if (files.length === 0) return;
+
+    setIsImporting(true);
+    try {
+      setReports(await onImport(files));
+    } catch (error) {
+      console.error('Import error:', error);
+      setReports([{ fileName: files.map((file) => file.name).join(', '), error: error.message }]);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div>
+      <div style={{ marginBottom: '4px', fontSize: '14px', color: textColor }}>Import Data:</div>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        style={{
+          padding: '16px',
+          border: `2px dashed ${isDragging ? '#60348c' : isDarkMode ? '#404040' : '#ddd'}`,
+          borderRadius: '4px',
+          backgroundColor: isDragging ? (isDarkMode ? '#3a2a4a' : '#f3ecfa') : 'transparent',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          fontSize: '14px',
+          color: textColor,
+          transition: 'all 0.3s ease',
+        }}
+      >
+        <span>
+          {isImporting ? 'Importing…' : 'Drop exceedance CSV files here or'}
+        </span>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={isImporting}
+          style={{
+            padding: '6px 12px',
+            borderRadius: '4px',
+            border: 'none',
+            backgroundColor: '#60348c',
+            color: '#ffffff',
+            cursor: isImporting ? 'default' : 'pointer',
+            fontSize: '14px',
+          }}
+        >
+          Choose Files
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            // Allow the same file to be picked again
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {/* Per-file import summary */}
+      {reports.length > 0 && (
+        <ul style={{ margin: '8px 0 0', paddingLeft: '20px', fontSize: '12px', color: textColor }}>
+          {reports.map((report, index) => (
+            <li key={index}>
+              <strong>{report.fileName}:</strong>{' '}
+              {report.error ? (
+                <span style={{ color: '#ef4444' }}>{report.error}</span>
+              ) : (
+                `${report.added} added, ${report.skipped} skipped (already loaded), ${report.rejected} rejected`
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CsvImport;
@@ -0,0 +1,96 @@
+// DataQualityPanel.jsx
+import React, { useState } from 'react';
+
+// Summary of validated sources with the rows each one quarantined
+const DataQualityPanel = ({ reports, isDarkMode }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (reports.length === 0) return null;
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const checked = reports.reduce((total, report) => total + report.checked, 0);
+  const rejected = reports.reduce((total, report) => total + report.rejected.length, 0);
+  const failedSources = reports.filter((report) => report.error).length;
+  const hasProblems = rejected > 0 || failedSources > 0;
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+        <span>
+          Data Quality: {checked} rows checked from {reports.length} source(s),{' '}
+          <strong style={{ color: hasProblems ? '#ef4444' : '#22c55e' }}>
+            {rejected} rejected
+          </strong>
+          {failedSources > 0 && `, ${failedSources} file(s) unreadable`}
+        </span>
+        {hasProblems && (
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            style={{
+              padding: '4px 10px',
+              borderRadius: '4px',
+              border: `1px solid ${borderColor}`,
+              backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+              color: textColor,
+              cursor: 'pointer',
+              fontSize: '12px',
+            }}
+          >
+            {isExpanded ? 'Hide Details' : 'Show Details'}
+          </button>
+        )}
+      </div>
+
+      {isExpanded && hasProblems && (
+        <div
+          style={{
+            marginTop: '8px',
+            maxHeight: '240px',
+            overflowY: 'auto',
+            border: `1px solid ${borderColor}`,
+            borderRadius: '4px',
+            padding: '8px',
+          }}
+        >
+          {reports
+            .filter((report) => report.error || report.rejected.length > 0)
+            .map((report, reportIndex) => (
+              <div key={reportIndex} style={{ marginBottom: '8px' }}>
+                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{report.source}</div>
+                {report.error ? (
+                  <div style={{ fontSize: '12px', color: '#ef4444' }}>{report.error}</div>
+                ) : (
+                  <div
+                    style={{
+                      display: 'grid',
+                      gridTemplateColumns: '60px 1fr 1fr',
+                      gap: '4px 10px',
+                      fontSize: '12px',
+                    }}
+                  >
+                    <div style={{ fontWeight: 'bold' }}>Line</div>
+                    <div style={{ fontWeight: 'bold' }}>Reason</div>
+                    <div style={{ fontWeight: 'bold' }}>Values</div>
+                    {report.rejected.map((entry) => (
+                      <React.Fragment key={entry.line}>
+                        <div>{entry.line}</div>
+                        <div style={{ color: '#ef4444' }}>{entry.reasons.join('; ')}</div>
+                        <div style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                          {Object.values(entry.row)
+                            .map((value) => (value === null ? '' : String(value)))
+                            .join(',')}
+                        </div>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityPanel;
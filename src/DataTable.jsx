@@ -0,0 +1,266 @@
+// DataTable.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { getRowKey } from './csvData';
+import { getBandColor, getBandName, getBandTint } from './severityBands';
+import { getAnnotationStatus } from './annotations';
+
+// Every row is the same height so the visible window can be computed from scrollTop
+const ROW_HEIGHT = 28;
+const VIEWPORT_HEIGHT = 420;
+// Rows mounted above and below the visible window to avoid blank flashes while scrolling
+const OVERSCAN = 10;
+const PAGE_SIZES = [0, 50, 100, 500];
+const GRID_COLUMNS = '2fr 1fr 1fr 1fr 1fr 1fr 1fr 1.5fr 1fr';
+
+const COLUMNS = [
+  { key: 'date', label: 'Date/Time', render: (row) => row.date },
+  { key: 'RECORDING_ID', label: 'Recording', render: (row) => row.RECORDING_ID },
+  { key: 'POSITION_YARDS', label: 'Position (yards)', render: (row) => row.POSITION_YARDS },
+  { key: 'LATITUDE', label: 'Latitude', render: (row) => row.LATITUDE.toFixed(6) },
+  { key: 'LONGITUDE', label: 'Longitude', render: (row) => row.LONGITUDE.toFixed(6) },
+  { key: 'SCORE', label: 'Temp (°C)', render: (row) => `${row.SCORE}°C` },
+  {
+    key: 'ambientTemp',
+    label: 'Air (°C)',
+    // Blank until a weather reading has been joined to the row
+    render: (row) =>
+      row.ambientTemp === undefined ? (
+        ''
+      ) : (
+        <span
+          title={`${row.weatherStation || 'Unnamed station'}, ${row.weatherGapMinutes} min from reading`}
+        >
+          {row.ambientTemp}°C
+        </span>
+      ),
+  },
+  {
+    key: 'annotation',
+    label: 'Annotation',
+    render: (row) => {
+      if (!row.annotation) return '';
+      const status = getAnnotationStatus(row.annotation.status);
+      return (
+        <span
+          title={[row.annotation.assignee, row.annotation.dueDate, row.annotation.notes]
+            .filter(Boolean)
+            .join(' · ')}
+        >
+          {status.icon} {status.name}
+        </span>
+      );
+    },
+  },
+];
+
+// Windowed, optionally paginated table of the sorted and filtered rows. `resetKey`
+// changes with the filters and sort; only then does the table return to its first page,
+// so rows arriving from the feed or edited annotations leave the reader where they are.
+const DataTable = ({ rows, resetKey, sortConfig, onSort, severityBands, isDarkMode }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [pageSize, setPageSize] = useState(0);
+  const [page, setPage] = useState(0);
+  const scrollRef = useRef(null);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+
+  const pageCount = pageSize ? Math.max(1, Math.ceil(rows.length / pageSize)) : 1;
+  // Stay on a page that still exists if rows were removed
+  const currentPage = Math.min(page, pageCount - 1);
+
+  // Return to the first page whenever the filters or sort change
+  useEffect(() => {
+    setPage(0);
+  }, [resetKey, pageSize]);
+
+  // Scroll back to the top when a different set of rows is shown
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [resetKey, pageSize, currentPage]);
+
+  const pageStart = pageSize ? currentPage * pageSize : 0;
+  const pageRows = pageSize ? rows.slice(pageStart, pageStart + pageSize) : rows;
+
+  // Only rows inside the scrolled viewport (plus overscan) are mounted
+  const firstVisible = Math.floor(scrollTop / ROW_HEIGHT);
+  const visibleCount = Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT);
+  const windowStart = Math.max(0, firstVisible - OVERSCAN);
+  const windowEnd = Math.min(pageRows.length, firstVisible + visibleCount + OVERSCAN);
+  const windowRows = pageRows.slice(windowStart, windowEnd);
+
+  const shownFrom = pageRows.length === 0 ? 0 : pageStart + firstVisible + 1;
+  const shownTo = pageStart + Math.min(pageRows.length, firstVisible + visibleCount);
+
+  // Style for table headers
+  const getHeaderStyle = (key) => ({
+    cursor: 'pointer',
+    userSelect: 'none',
+    fontWeight: sortConfig.key === key ? 'bold' : 'normal',
+    transition: 'all 0.3s ease',
+    fontSize: '14px',
+    color: textColor,
+  });
+
+  // Function to display sort arrows in headers
+  const getSortArrow = (key) => {
+    if (sortConfig.key === key) {
+      return sortConfig.direction === 'asc' ? ' ↑' : ' ↓';
+    }
+    return '';
+  };
+
+  const buttonStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+
+  return (
+    <div
+      style={{
+        flex: 1,
+        borderTop: `1px solid ${borderColor}`,
+        paddingTop: '10px',
+      }}
+    >
+      {/* Table Headers */}
+      <div
+        style={{
+          marginBottom: '10px',
+          fontSize: '14px',
+          display: 'grid',
+          gridTemplateColumns: GRID_COLUMNS,
+          gap: '10px',
+          fontWeight: 'bold',
+          color: textColor,
+        }}
+      >
+        {/* Each header is clickable for sorting */}
+        {[...COLUMNS, { key: 'severity', label: 'Severity' }].map((column) => (
+          <div
+            key={column.key}
+            onClick={() => onSort(column.key)}
+            style={getHeaderStyle(column.key)}
+          >
+            {column.label}
+            {getSortArrow(column.key)}
+          </div>
+        ))}
+      </div>
+
+      {/* Table Data */}
+      {rows.length === 0 ? (
+        <div style={{ textAlign: 'center', color: textColor }}>
+          No records found matching the current filters
+        </div>
+      ) : (
+        <div
+          ref={scrollRef}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          style={{
+            height: `${Math.min(VIEWPORT_HEIGHT, pageRows.length * ROW_HEIGHT)}px`,
+            overflowY: 'auto',
+          }}
+        >
+          <div style={{ position: 'relative', height: `${pageRows.length * ROW_HEIGHT}px` }}>
+            {windowRows.map((row, index) => (
+              <div
+                key={getRowKey(row)}
+                style={{
+                  position: 'absolute',
+                  top: `${(windowStart + index) * ROW_HEIGHT}px`,
+                  left: 0,
+                  right: 0,
+                  height: `${ROW_HEIGHT}px`,
+                  display: 'grid',
+                  gridTemplateColumns: GRID_COLUMNS,
+                  gap: '10px',
+                  alignItems: 'center',
+                }}
+              >
+                {COLUMNS.map((column) => (
+                  <div key={column.key} style={{ fontSize: '12px', color: textColor }}>
+                    {column.render(row)}
+                  </div>
+                ))}
+                <div>
+                  {/* Display severity with colored background */}
+                  <span
+                    style={{
+                      padding: '2px 6px',
+                      borderRadius: '8px',
+                      fontSize: '12px',
+                      backgroundColor: getBandTint(getBandColor(severityBands, row.severity)),
+                      color: '#000000', // Always black
+                    }}
+                  >
+                    {getBandName(severityBands, row.severity).toUpperCase()}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Row count and pagination */}
+      <div
+        style={{
+          marginTop: '10px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '10px',
+          fontSize: '12px',
+          color: textColor,
+        }}
+      >
+        <span>
+          Showing {shownFrom}–{shownTo} of {rows.length}
+        </span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <select
+            value={pageSize}
+            onChange={(e) => setPageSize(parseInt(e.target.value))}
+            style={{ ...buttonStyle, padding: '4px' }}
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size === 0 ? 'All rows' : `${size} per page`}
+              </option>
+            ))}
+          </select>
+          {pageSize > 0 && (
+            <>
+              <button
+                onClick={() => setPage(currentPage - 1)}
+                disabled={currentPage === 0}
+                style={buttonStyle}
+              >
+                Previous
+              </button>
+              <span>
+                Page {currentPage + 1} of {pageCount}
+              </span>
+              <button
+                onClick={() => setPage(currentPage + 1)}
+                disabled={currentPage >= pageCount - 1}
+                style={buttonStyle}
+              >
+                Next
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,248 @@
+// ExceedanceLayer.jsx
+import React, { useMemo, useState } from 'react';
+import { Marker, CircleMarker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { clusterPoints } from './markerClusters';
+import { getBounds } from './geo';
+import { getRowKey } from './csvData';
+import { getBandColor, getBandName } from './severityBands';
+import { getAnnotationStatus, createPointTarget } from './annotations';
+import AnnotationEditor from './AnnotationEditor';
+
+// Below this zoom nearby points are grouped into clusters
+const CLUSTER_UNTIL_ZOOM = 16;
+// Above this many visible points, individual points are drawn on a canvas
+const CANVAS_THRESHOLD = 1000;
+
+// Create custom marker icon based on severity colour, badged with the annotation status icon
+const createPointIcon = (color, statusIcon) =>
+  L.divIcon({
+    className: 'custom-div-icon',
+    html: `<div style="
+      position: relative;
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      background-color: ${color};
+      border: 2px solid white;
+      box-shadow: 0 0 4px rgba(0,0,0,0.3);
+    ">${
+      statusIcon
+        ? `<span style="position: absolute; top: -11px; left: 7px; font-size: 10px; line-height: 1;">${statusIcon}</span>`
+        : ''
+    }</div>`,
+    iconSize: [12, 12],
+    iconAnchor: [6, 6],
+  });
+
+// Cluster bubble showing the point count, coloured by the worst severity inside it
+const createClusterIcon = (count, color) => {
+  const size = count < 10 ? 26 : count < 100 ? 32 : count < 1000 ? 38 : 44;
+  return L.divIcon({
+    className: 'custom-div-icon',
+    html: `<div style="
+      width: ${size}px;
+      height: ${size}px;
+      line-height: ${size}px;
+      border-radius: 50%;
+      background-color: ${color};
+      border: 3px solid rgba(255,255,255,0.8);
+      box-shadow: 0 0 4px rgba(0,0,0,0.4);
+      color: white;
+      font-size: 12px;
+      font-weight: bold;
+      text-align: center;
+    ">${count}</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+// Details shown when an exceedance is clicked, with its annotation and, when
+// `onSaveAnnotation` is given, a form to annotate it
+const PointPopup = ({ point, severityBands, onSaveAnnotation, onRemoveAnnotation }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const { annotation } = point;
+  // The point's own annotation, as opposed to one on a hotspot it lies within
+  const ownAnnotation = annotation && annotation.target.type === 'point' ? annotation : null;
+  const status = annotation && getAnnotationStatus(annotation.status);
+
+  return (
+    <Popup>
+      <div>
+        <strong>Temperature:</strong> {point.SCORE}°C<br />
+        <strong>Position:</strong> {point.POSITION_YARDS} yards<br />
+        <strong>Recording:</strong> {point.RECORDING_ID}<br />
+        <strong>Date:</strong> {point.date}<br />
+        <strong>Severity:</strong> {getBandName(severityBands, point.severity).toUpperCase()}
+        {point.routeYards !== undefined && (
+          <>
+            <br />
+            <strong>Route Chainage:</strong> {point.routeYards} yards ({point.routeOffsetMetres} m
+            from line)
+            {point.isPositionMismatch && (
+              <div style={{ color: '#ef4444' }}>
+                Recorded position is {point.yardsDiscrepancy} yards from its location on the route
+              </div>
+            )}
+          </>
+        )}
+        {point.ambientTemp !== undefined && (
+          <>
+            <br />
+            <strong>Ambient:</strong> {point.ambientTemp}°C air
+            {point.solarRadiation !== null && `, ${point.solarRadiation} W/m² solar`} (
+            {point.weatherStation || 'station'}, {point.weatherGapMinutes} min from reading)
+          </>
+        )}
+        {annotation && !isEditing && (
+          <div style={{ marginTop: '6px', paddingTop: '6px', borderTop: '1px solid #ddd' }}>
+            <strong>{ownAnnotation ? 'Annotation' : 'Hotspot annotation'}:</strong>{' '}
+            {status.icon} {status.name}
+            {annotation.assignee && <div>Assignee: {annotation.assignee}</div>}
+            {annotation.dueDate && <div>Due: {annotation.dueDate}</div>}
+            {annotation.notes && <div style={{ whiteSpace: 'pre-wrap' }}>{annotation.notes}</div>}
+          </div>
+        )}
+        {onSaveAnnotation && (
+          <div style={{ marginTop: '6px' }}>
+            {isEditing ? (
+              <AnnotationEditor
+                annotation={ownAnnotation}
+                onSave={(fields) => {
+                  onSaveAnnotation(createPointTarget(point), fields);
+                  setIsEditing(false);
+                }}
+                onRemove={
+                  ownAnnotation &&
+                  (() => {
+                    onRemoveAnnotation(ownAnnotation.id);
+                    setIsEditing(false);
+                  })
+                }
+                onCancel={() => setIsEditing(false)}
+              />
+            ) : (
+              <button
+                onClick={() => setIsEditing(true)}
+                style={{ fontSize: '12px', cursor: 'pointer' }}
+              >
+                {ownAnnotation ? 'Edit Annotation' : 'Annotate'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </Popup>
+  );
+};
+
+// Exceedance points on the map: clustered at low zoom, only those in view are
+// mounted, and canvas circles replace DOM markers when many points are visible.
+// `getPointOpacity` optionally fades individual points (e.g. older ones during playback)
+// and `getPointColor` overrides the severity colour (e.g. colouring by route); clusters
+// take the colour of their most severe point. Annotated points carry their status icon,
+// except when drawn on the canvas.
+const ExceedanceLayer = ({
+  points,
+  severityBands,
+  getPointOpacity = () => 1,
+  getPointColor = (point) => getBandColor(severityBands, point.severity),
+  onSaveAnnotation,
+  onRemoveAnnotation,
+}) => {
+  const map = useMap();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+
+  useMapEvents({
+    moveend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() }),
+  });
+
+  const canvasRenderer = useMemo(() => L.canvas({ padding: 0.5 }), []);
+
+  // One icon per colour and status rather than one per point
+  const pointIcons = useMemo(() => new Map(), []);
+  const getPointIcon = (color, annotation) => {
+    const statusIcon = annotation ? getAnnotationStatus(annotation.status).icon : '';
+    const key = `${color}|${statusIcon}`;
+    if (!pointIcons.has(key)) pointIcons.set(key, createPointIcon(color, statusIcon));
+    return pointIcons.get(key);
+  };
+
+  const renderPopup = (point) => (
+    <PointPopup
+      point={point}
+      severityBands={severityBands}
+      onSaveAnnotation={onSaveAnnotation}
+      onRemoveAnnotation={onRemoveAnnotation}
+    />
+  );
+
+  const visiblePoints = useMemo(() => {
+    const padded = view.bounds.pad(0.25);
+    return points.filter((point) => padded.contains([point.LATITUDE, point.LONGITUDE]));
+  }, [points, view]);
+
+  const clusters = useMemo(() => {
+    if (view.zoom >= CLUSTER_UNTIL_ZOOM) return null;
+    return clusterPoints(
+      visiblePoints,
+      (latLng) => map.project(latLng, view.zoom),
+      severityBands
+    );
+  }, [map, visiblePoints, view.zoom, severityBands]);
+
+  const singlePoints = clusters
+    ? clusters.filter((cluster) => cluster.count === 1).map((cluster) => cluster.points[0])
+    : visiblePoints;
+  const useCanvas = singlePoints.length > CANVAS_THRESHOLD;
+
+  return (
+    <>
+      {clusters &&
+        clusters
+          .filter((cluster) => cluster.count > 1)
+          .map((cluster) => (
+            <Marker
+              key={cluster.key}
+              position={[cluster.latitude, cluster.longitude]}
+              icon={createClusterIcon(cluster.count, getPointColor(cluster.worstPoint))}
+              eventHandlers={{
+                click: () => map.fitBounds(getBounds(cluster.points), { padding: [40, 40] }),
+              }}
+            />
+          ))}
+
+      {singlePoints.map((point) =>
+        useCanvas ? (
+          <CircleMarker
+            key={getRowKey(point)}
+            center={[point.LATITUDE, point.LONGITUDE]}
+            radius={6}
+            renderer={canvasRenderer}
+            pathOptions={{
+              color: '#ffffff',
+              weight: 2,
+              opacity: getPointOpacity(point),
+              fillColor: getPointColor(point),
+              fillOpacity: getPointOpacity(point),
+            }}
+          >
+            {renderPopup(point)}
+          </CircleMarker>
+        ) : (
+          <Marker
+            key={getRowKey(point)}
+            position={[point.LATITUDE, point.LONGITUDE]}
+            icon={getPointIcon(getPointColor(point), point.annotation)}
+            opacity={getPointOpacity(point)}
+          >
+            {renderPopup(point)}
+          </Marker>
+        )
+      )}
+    </>
+  );
+};
+
+export default ExceedanceLayer;
@@ -0,0 +1,92 @@
+// ExportMenu.jsx
+import React, { useState } from 'react';
+import { toCsv, toGeoJson, toKml, downloadFile, getFileStamp } from './exporters';
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: toCsv },
+  {
+    id: 'geojson',
+    label: 'GeoJSON',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+    build: toGeoJson,
+  },
+  {
+    id: 'kml',
+    label: 'KML (Google Earth)',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    build: toKml,
+  },
+];
+
+// Dropdown that downloads the current filtered and sorted rows
+const ExportMenu = ({ rows, severityBands, isDarkMode }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+
+  const handleExport = (format) => {
+    downloadFile(
+      format.build(rows, severityBands),
+      `exceedances-${getFileStamp()}.${format.extension}`,
+      format.mimeType
+    );
+    setIsOpen(false);
+  };
+
+  return (
+    <div style={{ position: 'relative', display: 'inline-block' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={rows.length === 0}
+        style={{
+          padding: '6px 12px',
+          borderRadius: '4px',
+          border: 'none',
+          backgroundColor: '#60348c',
+          color: '#ffffff',
+          cursor: rows.length === 0 ? 'default' : 'pointer',
+          opacity: rows.length === 0 ? 0.6 : 1,
+          fontSize: '14px',
+        }}
+      >
+        Export {rows.length} Rows ▾
+      </button>
+      {isOpen && (
+        <div
+          style={{
+            position: 'absolute',
+            right: 0,
+            top: '100%',
+            marginTop: '4px',
+            minWidth: '180px',
+            backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+            border: `1px solid ${borderColor}`,
+            borderRadius: '4px',
+            boxShadow: '0 0 10px rgba(0,0,0,0.1)',
+            zIndex: 1100,
+          }}
+        >
+          {FORMATS.map((format) => (
+            <div
+              key={format.id}
+              onClick={() => handleExport(format)}
+              style={{
+                padding: '8px 12px',
+                fontSize: '14px',
+                color: textColor,
+                cursor: 'pointer',
+              }}
+            >
+              {format.label}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
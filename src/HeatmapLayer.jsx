@@ -0,0 +1,35 @@
+// HeatmapLayer.jsx
+import { useEffect, useMemo } from 'react';
+import { useMap } from 'react-leaflet';
+import { createHeatLayer, getHeatWeights } from './heatmap';
+
+// Density of the given rows as a heatmap, weighted by temperature or by count
+const HeatmapLayer = ({ points, weightBy, radius, intensity }) => {
+  const map = useMap();
+  const layer = useMemo(() => createHeatLayer(), []);
+
+  // Effect to add the layer for as long as the component is mounted
+  useEffect(() => {
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+    };
+  }, [map, layer]);
+
+  // Effect to redraw when the points or settings change
+  useEffect(() => {
+    const weights = getHeatWeights(points, weightBy);
+    layer.setData(
+      points.map((point, index) => ({
+        latitude: point.LATITUDE,
+        longitude: point.LONGITUDE,
+        weight: weights[index],
+      })),
+      { radius, intensity }
+    );
+  }, [layer, points, weightBy, radius, intensity]);
+
+  return null;
+};
+
+export default HeatmapLayer;
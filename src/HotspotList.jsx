@@ -0,0 +1,167 @@
+// HotspotList.jsx
+import React, { useState } from 'react';
+import { getAnnotationStatus } from './annotations';
+import AnnotationEditor from './AnnotationEditor';
+
+const MAX_LISTED = 10;
+
+// Ranked list of locations that exceed on several recordings, each of which can be annotated
+const HotspotList = ({
+  hotspots,
+  showOnMap,
+  onToggleShowOnMap,
+  onSelectHotspot,
+  getSeverityColor,
+  getAnnotation,
+  onSaveAnnotation,
+  onRemoveAnnotation,
+  isDarkMode,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const columns = '30px 1fr 1fr 1fr 2fr 1.5fr';
+
+  return (
+    <div>
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '4px',
+          fontSize: '14px',
+          color: textColor,
+        }}
+      >
+        <span>Top Hotspots ({hotspots.length} repeat locations):</span>
+        <label style={{ fontSize: '12px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={showOnMap}
+            onChange={(e) => onToggleShowOnMap(e.target.checked)}
+            style={{ marginRight: '4px' }}
+          />
+          Show on map
+        </label>
+      </div>
+
+      {hotspots.length === 0 ? (
+        <div style={{ fontSize: '12px', color: textColor }}>
+          No location exceeds on more than one recording in the current filter
+        </div>
+      ) : (
+        <div
+          style={{
+            border: `1px solid ${borderColor}`,
+            borderRadius: '4px',
+            fontSize: '12px',
+            color: textColor,
+          }}
+        >
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: columns,
+              gap: '10px',
+              padding: '6px 8px',
+              fontWeight: 'bold',
+              borderBottom: `1px solid ${borderColor}`,
+            }}
+          >
+            <div>#</div>
+            <div>Position (yards)</div>
+            <div>Recordings</div>
+            <div>Peak (°C)</div>
+            <div>Most Recent</div>
+            <div>Annotation</div>
+          </div>
+          {hotspots.slice(0, MAX_LISTED).map((hotspot, index) => {
+            const annotation = getAnnotation(hotspot);
+            const status = annotation && getAnnotationStatus(annotation.status);
+            return (
+              <div key={hotspot.id}>
+                <div
+                  onClick={() => onSelectHotspot(hotspot)}
+                  title="Zoom to hotspot"
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: columns,
+                    gap: '10px',
+                    padding: '4px 8px',
+                    cursor: 'pointer',
+                    alignItems: 'center',
+                  }}
+                >
+                  <div>{index + 1}</div>
+                  <div>{hotspot.positionYards}</div>
+                  <div>
+                    {hotspot.recurrence} ({hotspot.count} exceedances)
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <div
+                      style={{
+                        width: '8px',
+                        height: '8px',
+                        borderRadius: '50%',
+                        backgroundColor: getSeverityColor(hotspot.peakSeverity),
+                      }}
+                    ></div>
+                    {hotspot.peakScore}
+                  </div>
+                  <div>{new Date(hotspot.latestTime * 1000).toLocaleString()}</div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    {status && (
+                      <span title={annotation.notes}>
+                        {status.icon} {status.name}
+                      </span>
+                    )}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditingId(editingId === hotspot.id ? null : hotspot.id);
+                      }}
+                      title={annotation ? 'Edit annotation' : 'Annotate hotspot'}
+                      style={{
+                        border: 'none',
+                        backgroundColor: 'transparent',
+                        color: textColor,
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                      }}
+                    >
+                      ✎
+                    </button>
+                  </div>
+                </div>
+                {editingId === hotspot.id && (
+                  <div style={{ padding: '4px 8px 8px 48px' }}>
+                    <AnnotationEditor
+                      annotation={annotation}
+                      onSave={(fields) => {
+                        onSaveAnnotation(hotspot, fields);
+                        setEditingId(null);
+                      }}
+                      onRemove={
+                        annotation &&
+                        (() => {
+                          onRemoveAnnotation(annotation.id);
+                          setEditingId(null);
+                        })
+                      }
+                      onCancel={() => setEditingId(null)}
+                      isDarkMode={isDarkMode}
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HotspotList;
@@ -0,0 +1,188 @@
+// LiveFeedPanel.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { openFeed } from './liveFeed';
+import { getRouteLabel, resolveRouteId } from './routeManifest';
+
+const STATUS_COLORS = {
+  off: '#9ca3af',
+  connecting: '#f59e0b',
+  connected: '#22c55e',
+  error: '#ef4444',
+};
+
+const STATUS_LABELS = {
+  off: 'Not connected',
+  connecting: 'Connecting...',
+  connected: 'Connected',
+  error: 'Connection problem',
+};
+
+// Settings and status of the live data feed. While enabled the feed stays open and
+// hands each batch of rows to `onRows`; loaded data, filters and the map view are kept.
+const LiveFeedPanel = ({ config, onConfigChange, onRows, routes, totalRows, isDarkMode }) => {
+  const [draft, setDraft] = useState(config);
+  const [status, setStatus] = useState({ state: 'off', message: null, lastUpdated: null });
+  const onRowsRef = useRef(onRows);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const inputStyle = {
+    padding: '6px',
+    border: `1px solid ${borderColor}`,
+    borderRadius: '4px',
+    fontSize: '14px',
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+  };
+  const buttonStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+
+  // Always hand rows to the latest handler without reopening the feed
+  useEffect(() => {
+    onRowsRef.current = onRows;
+  });
+
+  // Effect to open the feed while it is enabled, closing it when settings change
+  const { enabled, type, url, intervalSeconds } = config;
+  useEffect(() => {
+    if (!enabled) {
+      setStatus({ state: 'off', message: null, lastUpdated: null });
+      return undefined;
+    }
+    return openFeed(
+      { type, url, intervalSeconds },
+      {
+        onRows: (rows) => onRowsRef.current(rows),
+        onStatus: (update) => setStatus((previous) => ({ ...previous, ...update })),
+      }
+    );
+  }, [enabled, type, url, intervalSeconds]);
+
+  const isValid =
+    draft.url.trim() !== '' &&
+    (draft.type === 'websocket' || (Number.isFinite(draft.intervalSeconds) && draft.intervalSeconds >= 1));
+
+  const handleConnect = () => {
+    onConfigChange({ ...draft, url: draft.url.trim(), enabled: true });
+  };
+
+  const handleDisconnect = () => {
+    onConfigChange({ ...config, enabled: false });
+  };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ marginBottom: '4px' }}>Live Feed:</div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <select
+          value={draft.type}
+          onChange={(e) => {
+            const nextType = e.target.value;
+            setDraft({
+              ...draft,
+              type: nextType,
+              url:
+                nextType === 'websocket'
+                  ? 'ws://localhost:4000/stream'
+                  : 'http://localhost:4000/exceedances.csv',
+            });
+          }}
+          disabled={enabled}
+          style={inputStyle}
+        >
+          <option value="poll">Poll CSV/JSON endpoint</option>
+          <option value="websocket">WebSocket stream</option>
+        </select>
+        <input
+          type="text"
+          value={draft.url}
+          onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+          disabled={enabled}
+          style={{ ...inputStyle, width: '280px' }}
+        />
+        {draft.type === 'poll' && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            every
+            <input
+              type="number"
+              min="1"
+              value={Number.isFinite(draft.intervalSeconds) ? draft.intervalSeconds : ''}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  intervalSeconds: e.target.value === '' ? NaN : parseFloat(e.target.value),
+                })
+              }
+              disabled={enabled}
+              style={{ ...inputStyle, width: '60px' }}
+            />
+            s
+          </label>
+        )}
+        {routes.length > 1 && (
+          <select
+            value={resolveRouteId(routes, draft.routeId)}
+            onChange={(e) => setDraft({ ...draft, routeId: e.target.value })}
+            disabled={enabled}
+            style={inputStyle}
+          >
+            {routes.map((route) => (
+              <option key={route.id} value={route.id}>
+                Add to {getRouteLabel(route)}
+              </option>
+            ))}
+          </select>
+        )}
+        {enabled ? (
+          <button onClick={handleDisconnect} style={buttonStyle}>
+            Disconnect
+          </button>
+        ) : (
+          <button onClick={handleConnect} disabled={!isValid} style={buttonStyle}>
+            Connect
+          </button>
+        )}
+      </div>
+
+      {/* Connection status and last update */}
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          marginTop: '6px',
+          fontSize: '12px',
+        }}
+      >
+        <div
+          style={{
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            backgroundColor: STATUS_COLORS[status.state],
+          }}
+        ></div>
+        <span>{STATUS_LABELS[status.state]}</span>
+        {status.lastUpdated && (
+          <span>· Last updated {new Date(status.lastUpdated).toLocaleTimeString()}</span>
+        )}
+        <span>· {totalRows} rows loaded</span>
+        {status.message && (
+          <span style={{ color: status.state === 'error' ? '#ef4444' : textColor }}>
+            · {status.message}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveFeedPanel;
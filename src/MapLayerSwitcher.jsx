@@ -0,0 +1,100 @@
+// MapLayerSwitcher.jsx
+import React from 'react';
+
+const MAP_LAYERS = [
+  { id: 'markers', name: 'Markers' },
+  { id: 'heatmap', name: 'Heatmap' },
+  { id: 'hotspots', name: 'Hotspots' },
+];
+
+// Overlay on the map for choosing how exceedances are drawn, with the heatmap's
+// weighting, radius and intensity while the heatmap is shown
+const MapLayerSwitcher = ({
+  layer,
+  onLayerChange,
+  heatmapOptions,
+  onHeatmapOptionsChange,
+  isDarkMode,
+}) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const setOption = (key, value) => onHeatmapOptionsChange({ ...heatmapOptions, [key]: value });
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        bottom: '30px',
+        left: '10px',
+        padding: '8px',
+        backgroundColor: isDarkMode ? 'rgba(0,0,0,0.7)' : 'rgba(255,255,255,0.7)',
+        borderRadius: '4px',
+        fontSize: '12px',
+        zIndex: 1000,
+        color: textColor,
+      }}
+    >
+      <div style={{ display: 'flex' }}>
+        {MAP_LAYERS.map((option, index) => (
+          <button
+            key={option.id}
+            onClick={() => onLayerChange(option.id)}
+            style={{
+              padding: '4px 8px',
+              border: `1px solid ${borderColor}`,
+              borderLeft: index === 0 ? `1px solid ${borderColor}` : 'none',
+              borderRadius:
+                index === 0 ? '4px 0 0 4px' : index === MAP_LAYERS.length - 1 ? '0 4px 4px 0' : 0,
+              backgroundColor:
+                layer === option.id ? '#60348c' : isDarkMode ? '#2d2d2d' : '#ffffff',
+              color: layer === option.id ? '#ffffff' : textColor,
+              cursor: 'pointer',
+              fontSize: '12px',
+            }}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+
+      {layer === 'heatmap' && (
+        <div style={{ marginTop: '6px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          <label>
+            Weight by{' '}
+            <select
+              value={heatmapOptions.weightBy}
+              onChange={(e) => setOption('weightBy', e.target.value)}
+              style={{ fontSize: '12px' }}
+            >
+              <option value="score">Temperature</option>
+              <option value="count">Count</option>
+            </select>
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            Radius
+            <input
+              type="range"
+              min="10"
+              max="50"
+              value={heatmapOptions.radius}
+              onChange={(e) => setOption('radius', parseInt(e.target.value))}
+            />
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            Intensity
+            <input
+              type="range"
+              min="0.05"
+              max="1"
+              step="0.05"
+              value={heatmapOptions.intensity}
+              onChange={(e) => setOption('intensity', parseFloat(e.target.value))}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapLayerSwitcher;
@@ -0,0 +1,183 @@
+// OfflineMapsPanel.jsx
+import React, { useRef, useState } from 'react';
+import {
+  TILE_CACHE,
+  MAX_DOWNLOAD_TILES,
+  MAX_DOWNLOAD_ZOOM,
+  CAN_DOWNLOAD_TILES,
+  getTilesInBounds,
+  countTilesInBounds,
+  getTileUrl,
+} from './offlineCache';
+
+const ZOOM_LEVELS = Array.from({ length: MAX_DOWNLOAD_ZOOM - 9 }, (_, index) => 10 + index);
+// Tiles fetched at once; kept low to go easy on the tile server
+const CONCURRENCY = 2;
+
+// Download the base-map tiles covering the route's bounds at chosen zoom levels, so the
+// map still works without signal. Only offered for a tile server that allows it (see
+// CAN_DOWNLOAD_TILES); tiles are fetched through the service worker so they are cached
+// and expired along with the tiles that have been viewed.
+const OfflineMapsPanel = ({ bounds, tileUrl, isDarkMode }) => {
+  const [minZoom, setMinZoom] = useState(12);
+  const [maxZoom, setMaxZoom] = useState(15);
+  const [progress, setProgress] = useState(null);
+  const cancelledRef = useRef(false);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const controlStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+
+  const isSupported = 'caches' in window && 'serviceWorker' in navigator;
+  const tileCount = bounds ? countTilesInBounds(bounds, minZoom, maxZoom) : 0;
+  const isDownloading = progress !== null && !progress.finished && !progress.error;
+
+  const handleDownload = async () => {
+    if (!navigator.serviceWorker.controller) {
+      setProgress({ error: 'Reload the page once so the offline cache is active, then try again' });
+      return;
+    }
+    cancelledRef.current = false;
+    const tiles = getTilesInBounds(bounds, minZoom, maxZoom);
+    const cache = await caches.open(TILE_CACHE);
+    const counts = { saved: 0, cached: 0, failed: 0 };
+    setProgress({ ...counts, total: tiles.length, finished: false });
+
+    // Tiles are requested with CORS, as the map does, so the cached copies are usable
+    const saveTile = async (tile) => {
+      const request = new Request(getTileUrl(tileUrl, tile, window.devicePixelRatio > 1), {
+        mode: 'cors',
+      });
+      try {
+        if (await cache.match(request)) {
+          counts.cached += 1;
+        } else {
+          // The service worker's tile route stores the response
+          const response = await fetch(request);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          counts.saved += 1;
+        }
+      } catch (error) {
+        counts.failed += 1;
+      }
+      setProgress({ ...counts, total: tiles.length, finished: false });
+    };
+
+    let next = 0;
+    const worker = async () => {
+      while (next < tiles.length && !cancelledRef.current) {
+        const tile = tiles[next];
+        next += 1;
+        await saveTile(tile);
+      }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    setProgress({
+      ...counts,
+      total: tiles.length,
+      finished: true,
+      cancelled: cancelledRef.current,
+    });
+  };
+
+  const zoomSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(parseInt(e.target.value))}
+      disabled={isDownloading}
+      style={controlStyle}
+    >
+      {ZOOM_LEVELS.map((zoom) => (
+        <option key={zoom} value={zoom}>
+          {zoom}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ marginBottom: '4px' }}>Offline Map Tiles:</div>
+      {!isSupported ? (
+        <div style={{ fontSize: '12px' }}>
+          Offline tiles need a browser with Cache Storage and the app served over HTTPS.
+        </div>
+      ) : !CAN_DOWNLOAD_TILES ? (
+        <div style={{ fontSize: '12px' }}>
+          Map tiles you view are kept for offline use. Saving a whole area ahead of time needs
+          a tile server that allows bulk downloads; the public OpenStreetMap and CARTO servers
+          do not.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '12px' }}>Zoom</span>
+            {zoomSelect(minZoom, (zoom) => {
+              setMinZoom(zoom);
+              if (zoom > maxZoom) setMaxZoom(zoom);
+            })}
+            <span style={{ fontSize: '12px' }}>to</span>
+            {zoomSelect(maxZoom, (zoom) => {
+              setMaxZoom(zoom);
+              if (zoom < minZoom) setMinZoom(zoom);
+            })}
+            <span
+              style={{
+                fontSize: '12px',
+                color: tileCount > MAX_DOWNLOAD_TILES ? '#ef4444' : textColor,
+              }}
+            >
+              {tileCount} tiles for the route's area
+              {tileCount > MAX_DOWNLOAD_TILES &&
+                ` (limit ${MAX_DOWNLOAD_TILES}; lower the maximum zoom)`}
+            </span>
+            {isDownloading ? (
+              <button
+                onClick={() => {
+                  cancelledRef.current = true;
+                }}
+                style={controlStyle}
+              >
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={handleDownload}
+                disabled={!bounds || tileCount === 0 || tileCount > MAX_DOWNLOAD_TILES}
+                style={controlStyle}
+              >
+                Save for Offline
+              </button>
+            )}
+          </div>
+          {progress && progress.error && (
+            <div style={{ fontSize: '12px', marginTop: '4px', color: '#ef4444' }}>
+              {progress.error}
+            </div>
+          )}
+          {progress && !progress.error && (
+            <div style={{ fontSize: '12px', marginTop: '4px' }}>
+              {progress.cancelled ? 'Cancelled: ' : progress.finished ? 'Finished: ' : 'Saving: '}
+              {progress.saved + progress.cached + progress.failed} of {progress.total} tiles (
+              {progress.saved} downloaded, {progress.cached} already saved
+              {progress.failed > 0 && (
+                <span style={{ color: '#ef4444' }}>, {progress.failed} failed</span>
+              )}
+              )
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OfflineMapsPanel;
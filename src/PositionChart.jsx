@@ -0,0 +1,130 @@
+// PositionChart.jsx
+import React, { useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from 'recharts';
+import { sampleChartRows } from './report';
+
+// Tooltip describing the reading under the cursor
+const PointTooltip = ({ active, payload, isDarkMode }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const point = payload[0].payload;
+
+  return (
+    <div
+      style={{
+        padding: '6px 8px',
+        fontSize: '12px',
+        borderRadius: '4px',
+        backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+        color: isDarkMode ? '#ffffff' : '#000000',
+        boxShadow: '0 0 4px rgba(0,0,0,0.3)',
+      }}
+    >
+      <strong>{point.SCORE}°C</strong> at {point.POSITION_YARDS} yards
+      <br />
+      Recording {point.RECORDING_ID}, {point.date}
+    </div>
+  );
+};
+
+// Scatter of temperature against track position, one series per severity band. Large
+// selections are sampled, keeping the peaks, so filtering stays responsive.
+const PositionChart = ({ data, onHoverPoint, severityBands, isDarkMode }) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const gridColor = isDarkMode ? '#404040' : '#ddd';
+
+  const chartRows = useMemo(() => sampleChartRows(data), [data]);
+
+  const series = useMemo(
+    () =>
+      severityBands.map((band) => ({
+        band,
+        points: chartRows.filter((row) => row.severity === band.id),
+      })),
+    [chartRows, severityBands]
+  );
+
+  return (
+    <div>
+      <div style={{ marginBottom: '4px', fontSize: '14px', color: textColor }}>
+        Temperature Along the Line:
+      </div>
+      {chartRows.length < data.length && (
+        <div style={{ marginBottom: '4px', fontSize: '12px', color: textColor }}>
+          Showing {chartRows.length} of {data.length} exceedances: the hottest and an even
+          sample of the rest.
+        </div>
+      )}
+      <div style={{ height: '260px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 0 }}>
+            <CartesianGrid stroke={gridColor} strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey="POSITION_YARDS"
+              name="Position"
+              unit=" yd"
+              domain={['dataMin', 'dataMax']}
+              tick={{ fill: textColor, fontSize: 12 }}
+              label={{
+                value: 'Position (yards)',
+                position: 'insideBottom',
+                offset: -10,
+                fill: textColor,
+                fontSize: 12,
+              }}
+            />
+            <YAxis
+              type="number"
+              dataKey="SCORE"
+              name="Temperature"
+              unit="°C"
+              domain={['dataMin - 5', 'dataMax + 5']}
+              tick={{ fill: textColor, fontSize: 12 }}
+            />
+            <Tooltip
+              cursor={{ strokeDasharray: '3 3' }}
+              content={<PointTooltip isDarkMode={isDarkMode} />}
+            />
+            {/* Severity thresholds, except the floor of the lowest band */}
+            {severityBands.slice(0, -1).map((band) => (
+              <ReferenceLine
+                key={band.id}
+                y={band.threshold}
+                stroke={band.color}
+                strokeDasharray="6 3"
+                label={{
+                  value: `${band.threshold}°C`,
+                  position: 'right',
+                  fill: textColor,
+                  fontSize: 11,
+                }}
+              />
+            ))}
+            {series.map(({ band, points }) => (
+              <Scatter
+                key={band.id}
+                name={band.name}
+                data={points}
+                fill={band.color}
+                isAnimationActive={false}
+                onMouseEnter={(entry) => onHoverPoint(entry.payload)}
+                onMouseLeave={() => onHoverPoint(null)}
+              />
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default PositionChart;
@@ -0,0 +1,175 @@
+// PresetsPanel.jsx
+import React, { useRef, useState } from 'react';
+import { createPreset, exportPresets, parsePresetsFile, mergePresets } from './presets';
+import { downloadFile } from './exporters';
+
+// Saved views: store the current filters, sort and map view under a name, and
+// apply, rename, delete, mark as default, import or export them
+const PresetsPanel = ({ presetsState, onChange, currentView, onApply, isDarkMode }) => {
+  const fileInputRef = useRef(null);
+  const [newName, setNewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const { presets, defaultId } = presetsState;
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const inputStyle = {
+    padding: '6px',
+    border: `1px solid ${borderColor}`,
+    borderRadius: '4px',
+    fontSize: '14px',
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+  };
+  const buttonStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+
+  const handleSave = () => {
+    const name = newName.trim();
+    if (!name) return;
+    // Saving under an existing name overwrites that preset
+    const existing = presets.find((preset) => preset.name === name);
+    const preset = { ...createPreset(name, currentView), ...(existing && { id: existing.id }) };
+    onChange({
+      presets: existing
+        ? presets.map((candidate) => (candidate.id === existing.id ? preset : candidate))
+        : [...presets, preset],
+      defaultId,
+    });
+    setNewName('');
+    setMessage({ text: `Saved "${name}"`, isError: false });
+  };
+
+  const handleRename = (id) => {
+    const name = renameValue.trim();
+    if (name) {
+      onChange({
+        presets: presets.map((preset) => (preset.id === id ? { ...preset, name } : preset)),
+        defaultId,
+      });
+    }
+    setRenamingId(null);
+  };
+
+  const handleDelete = (id) => {
+    onChange({
+      presets: presets.filter((preset) => preset.id !== id),
+      defaultId: defaultId === id ? null : defaultId,
+    });
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const imported = parsePresetsFile(await file.text());
+      onChange(mergePresets(presetsState, imported));
+      setMessage({ text: `Imported ${imported.length} preset(s)`, isError: false });
+    } catch (error) {
+      setMessage({ text: `Import failed: ${error.message}`, isError: true });
+    }
+  };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ marginBottom: '4px' }}>Saved Views:</div>
+
+      {/* Save the current view */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <input
+          type="text"
+          placeholder="Name this view..."
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          style={{ ...inputStyle, width: '200px' }}
+        />
+        <button onClick={handleSave} disabled={!newName.trim()} style={buttonStyle}>
+          Save Current View
+        </button>
+        <button
+          onClick={() => downloadFile(exportPresets(presetsState), 'presets.json', 'application/json')}
+          disabled={presets.length === 0}
+          style={buttonStyle}
+        >
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current.click()} style={buttonStyle}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => {
+            if (e.target.files[0]) handleImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+        {message && (
+          <span style={{ fontSize: '12px', color: message.isError ? '#ef4444' : textColor }}>
+            {message.text}
+          </span>
+        )}
+      </div>
+
+      {/* Saved presets */}
+      {presets.length > 0 && (
+        <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          {presets.map((preset) => (
+            <div key={preset.id} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <button
+                onClick={() => onChange({ presets, defaultId: defaultId === preset.id ? null : preset.id })}
+                title={defaultId === preset.id ? 'Default view on load' : 'Use as default on load'}
+                style={{ ...buttonStyle, border: 'none', backgroundColor: 'transparent' }}
+              >
+                {defaultId === preset.id ? '★' : '☆'}
+              </button>
+              {renamingId === preset.id ? (
+                <input
+                  type="text"
+                  value={renameValue}
+                  autoFocus
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  onBlur={() => handleRename(preset.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleRename(preset.id);
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                  style={{ ...inputStyle, width: '200px', padding: '4px' }}
+                />
+              ) : (
+                <span style={{ minWidth: '200px' }}>{preset.name}</span>
+              )}
+              <button onClick={() => onApply(preset.view)} style={buttonStyle}>
+                Apply
+              </button>
+              <button
+                onClick={() => {
+                  setRenamingId(preset.id);
+                  setRenameValue(preset.name);
+                }}
+                style={buttonStyle}
+              >
+                Rename
+              </button>
+              <button onClick={() => handleDelete(preset.id)} style={buttonStyle}>
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetsPanel;
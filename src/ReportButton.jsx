@@ -0,0 +1,69 @@
+// ReportButton.jsx
+import React, { useState } from 'react';
+import { generateReport } from './report';
+import { downloadFile, getFileStamp } from './exporters';
+
+const REPORT_TITLE = 'Track Temperature Inspection Report';
+
+// Builds a printable report of the current view and opens it in a new tab, from where it
+// can be printed or saved to PDF; if pop-ups are blocked the HTML file is downloaded instead
+const ReportButton = ({ rows, view, routeLabel, routeLines, severityBands, tileUrl }) => {
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleGenerate = async () => {
+    // Opened while still handling the click so pop-up blockers allow it
+    const reportWindow = window.open('', '_blank');
+    setIsGenerating(true);
+    setError(null);
+    try {
+      const html = await generateReport({
+        title: REPORT_TITLE,
+        routeLabel,
+        view,
+        rows,
+        severityBands,
+        routeLines,
+        tileUrl,
+      });
+      if (reportWindow) {
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        reportWindow.location.href = url;
+        // Long enough for the tab to load it
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+      } else {
+        downloadFile(html, `report-${getFileStamp()}.html`, 'text/html');
+      }
+    } catch (reportError) {
+      console.error('Could not generate report:', reportError);
+      if (reportWindow) reportWindow.close();
+      setError('Could not generate the report');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <>
+      {error && <span style={{ fontSize: '12px', color: '#ef4444' }}>{error}</span>}
+      <button
+        onClick={handleGenerate}
+        disabled={isGenerating}
+        style={{
+          padding: '6px 12px',
+          borderRadius: '4px',
+          border: 'none',
+          backgroundColor: '#60348c',
+          color: '#ffffff',
+          cursor: isGenerating ? 'default' : 'pointer',
+          opacity: isGenerating ? 0.6 : 1,
+          fontSize: '14px',
+        }}
+      >
+        {isGenerating ? 'Generating Report…' : 'Generate Report'}
+      </button>
+    </>
+  );
+};
+
+export default ReportButton;
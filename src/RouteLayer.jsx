@@ -0,0 +1,46 @@
+// RouteLayer.jsx
+import React, { useMemo } from 'react';
+import { Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import { locateYards, getRouteYardsExtent } from './linearReferencing';
+
+// Chainage ticks are drawn every TICK_YARDS and labelled every LABEL_YARDS
+const TICK_YARDS = 1000;
+const LABEL_YARDS = 5000;
+
+// Route centre line with yardage (chainage) markers along it, in `color` if given
+const RouteLayer = ({ route, color, isDarkMode }) => {
+  const lineColor = color || (isDarkMode ? '#c4b5fd' : '#60348c');
+
+  const ticks = useMemo(() => {
+    const [first, last] = getRouteYardsExtent(route);
+    const positions = [];
+    for (let yards = Math.ceil(first / TICK_YARDS) * TICK_YARDS; yards <= last; yards += TICK_YARDS) {
+      positions.push({ yards, latLng: locateYards(route, yards) });
+    }
+    return positions;
+  }, [route]);
+
+  return (
+    <>
+      <Polyline
+        positions={route.coordinates}
+        pathOptions={{ color: lineColor, weight: 4, opacity: 0.5 }}
+        interactive={false}
+      />
+      {ticks.map((tick) => (
+        <CircleMarker
+          key={tick.yards}
+          center={tick.latLng}
+          radius={3}
+          pathOptions={{ color: lineColor, weight: 1, fillColor: '#ffffff', fillOpacity: 1 }}
+        >
+          <Tooltip permanent={tick.yards % LABEL_YARDS === 0} direction="right" offset={[4, 0]}>
+            {tick.yards} yd
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+};
+
+export default RouteLayer;
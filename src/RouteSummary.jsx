@@ -0,0 +1,57 @@
+// RouteSummary.jsx
+import React from 'react';
+
+// Route name and the rows whose lat/long disagrees with their recorded yardage
+const RouteSummary = ({
+  route,
+  rows,
+  showRoute,
+  onToggleShowRoute,
+  showMismatchesOnly,
+  onToggleShowMismatchesOnly,
+  isDarkMode,
+}) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const mismatches = rows.filter((row) => row.isPositionMismatch).length;
+
+  return (
+    <div
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '16px',
+        fontSize: '14px',
+        color: textColor,
+      }}
+    >
+      <span>
+        Route geometry: <strong>{route.name}</strong>
+      </span>
+      <span style={{ color: mismatches > 0 ? '#ef4444' : textColor }}>
+        {mismatches} of {rows.length} rows are more than {route.toleranceYards} yards from their
+        recorded position
+      </span>
+      <label style={{ fontSize: '12px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={showRoute}
+          onChange={(e) => onToggleShowRoute(e.target.checked)}
+          style={{ marginRight: '4px' }}
+        />
+        Show route
+      </label>
+      <label style={{ fontSize: '12px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={showMismatchesOnly}
+          onChange={(e) => onToggleShowMismatchesOnly(e.target.checked)}
+          style={{ marginRight: '4px' }}
+        />
+        Only show mismatched rows
+      </label>
+    </div>
+  );
+};
+
+export default RouteSummary;
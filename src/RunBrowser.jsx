@@ -0,0 +1,130 @@
+// RunBrowser.jsx
+import React from 'react';
+
+// Format a run's duration as minutes and seconds
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// List of recordings (train passes); selecting one filters the dashboard to that run
+const RunBrowser = ({ runs, selectedRun, onSelectRun, severityBands, isDarkMode }) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const columns = '1fr 2fr 1fr 1fr 1fr 1fr 2fr';
+
+  return (
+    <div>
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '4px',
+          fontSize: '14px',
+          color: textColor,
+        }}
+      >
+        <span>Runs ({runs.length}):</span>
+        {selectedRun !== null && (
+          <button
+            onClick={() => onSelectRun(null)}
+            style={{
+              padding: '4px 10px',
+              borderRadius: '4px',
+              border: `1px solid ${borderColor}`,
+              backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+              color: textColor,
+              cursor: 'pointer',
+              fontSize: '12px',
+            }}
+          >
+            Show All Runs
+          </button>
+        )}
+      </div>
+
+      <div
+        style={{
+          maxHeight: '200px',
+          overflowY: 'auto',
+          border: `1px solid ${borderColor}`,
+          borderRadius: '4px',
+          fontSize: '12px',
+          color: textColor,
+        }}
+      >
+        {/* Column headers */}
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: columns,
+            gap: '10px',
+            padding: '6px 8px',
+            fontWeight: 'bold',
+            position: 'sticky',
+            top: 0,
+            backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+            borderBottom: `1px solid ${borderColor}`,
+          }}
+        >
+          <div>Recording</div>
+          <div>Start</div>
+          <div>Duration</div>
+          <div>Points</div>
+          <div>Max (°C)</div>
+          <div>Mean (°C)</div>
+          <div>Severity</div>
+        </div>
+
+        {runs.map((run) => {
+          const isSelected = run.recordingId === selectedRun;
+          return (
+            <div
+              key={run.recordingId}
+              onClick={() => onSelectRun(isSelected ? null : run.recordingId)}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: columns,
+                gap: '10px',
+                padding: '4px 8px',
+                cursor: 'pointer',
+                alignItems: 'center',
+                backgroundColor: isSelected ? (isDarkMode ? '#3a2a4a' : '#f3ecfa') : 'transparent',
+                fontWeight: isSelected ? 'bold' : 'normal',
+              }}
+            >
+              <div>{run.recordingId}</div>
+              <div>{new Date(run.start * 1000).toLocaleString()}</div>
+              <div>{formatDuration(run.end - run.start)}</div>
+              <div>{run.count}</div>
+              <div>{run.maxScore}</div>
+              <div>{run.meanScore.toFixed(1)}</div>
+              {/* Severity breakdown as a proportional bar */}
+              <div
+                title={severityBands
+                  .map((band) => `${band.name}: ${run.severityCounts[band.id] || 0}`)
+                  .join(', ')}
+                style={{ display: 'flex', height: '8px', borderRadius: '4px', overflow: 'hidden' }}
+              >
+                {severityBands
+                  .filter((band) => run.severityCounts[band.id])
+                  .map((band) => (
+                    <div
+                      key={band.id}
+                      style={{
+                        flex: run.severityCounts[band.id],
+                        backgroundColor: band.color,
+                      }}
+                    />
+                  ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RunBrowser;
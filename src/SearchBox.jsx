@@ -0,0 +1,171 @@
+// SearchBox.jsx
+import React, { useMemo, useRef, useState } from 'react';
+import { QUERY_FIELDS, parseQuery } from './searchQuery';
+
+const FIELD_NAMES = Object.keys(QUERY_FIELDS);
+
+// Start of the word the caret is in, and the text typed so far
+const getCurrentWord = (text, caret) => {
+  const start = text.slice(0, caret).search(/\S*$/);
+  return { start, word: text.slice(start, caret) };
+};
+
+// Search input understanding the structured query syntax, with field-name
+// autocomplete and the invalid parts of the query highlighted beneath it
+const SearchBox = ({ value, onChange, severityBands, isDarkMode }) => {
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [isFocused, setIsFocused] = useState(false);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+
+  const { errors } = useMemo(() => parseQuery(value, severityBands), [value, severityBands]);
+
+  const { start: wordStart, word } = getCurrentWord(value, caret);
+  const suggestions =
+    isFocused && /^[a-z]+$/i.test(word)
+      ? FIELD_NAMES.filter((name) => name.startsWith(word.toLowerCase()) && name !== word)
+      : [];
+
+  const updateCaret = (e) => setCaret(e.target.selectionStart);
+
+  // Replace the partial word with the chosen field name and move the caret after it
+  const applySuggestion = (name) => {
+    const completed = `${value.slice(0, wordStart)}${name}:`;
+    const nextValue = `${completed}${value.slice(caret)}`;
+    onChange(nextValue);
+    setCaret(completed.length);
+    setActiveSuggestion(0);
+    requestAnimationFrame(() => {
+      inputRef.current.focus();
+      inputRef.current.setSelectionRange(completed.length, completed.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestion + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestion - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsFocused(false);
+    }
+  };
+
+  // The query split into plain and erroneous segments for highlighting
+  const segments = [];
+  let position = 0;
+  errors.forEach((error) => {
+    segments.push({ text: value.slice(position, error.start), error: null });
+    segments.push({ text: value.slice(error.start, error.end), error });
+    position = error.end;
+  });
+  segments.push({ text: value.slice(position), error: null });
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder="Search records... e.g. score>=65 recording:131154 yards:1000..3000 severity:high after:2022-06-17"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          updateCaret(e);
+          setActiveSuggestion(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onKeyUp={updateCaret}
+        onClick={updateCaret}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        spellCheck={false}
+        style={{
+          width: '100%',
+          padding: '8px',
+          border: `1px solid ${errors.length > 0 ? '#ef4444' : borderColor}`,
+          borderRadius: '4px',
+          fontSize: '14px',
+          backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+          color: textColor,
+        }}
+      />
+
+      {/* Field-name autocomplete */}
+      {suggestions.length > 0 && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            marginTop: '2px',
+            minWidth: '260px',
+            backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+            border: `1px solid ${borderColor}`,
+            borderRadius: '4px',
+            boxShadow: '0 0 10px rgba(0,0,0,0.1)',
+            zIndex: 1100,
+          }}
+        >
+          {suggestions.map((name, index) => (
+            <div
+              key={name}
+              // Keep focus in the input so the suggestion list stays open
+              onMouseDown={(e) => {
+                e.preventDefault();
+                applySuggestion(name);
+              }}
+              style={{
+                padding: '6px 10px',
+                fontSize: '12px',
+                color: textColor,
+                cursor: 'pointer',
+                backgroundColor:
+                  index === activeSuggestion ? (isDarkMode ? '#3a2a4a' : '#f3ecfa') : 'transparent',
+              }}
+            >
+              <strong>{name}:</strong> {QUERY_FIELDS[name].description}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Query echoed with invalid terms highlighted */}
+      {errors.length > 0 && (
+        <div style={{ marginTop: '4px', fontSize: '12px', color: textColor }}>
+          <div style={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap' }}>
+            {segments.map((segment, index) =>
+              segment.error ? (
+                <span
+                  key={index}
+                  title={segment.error.message}
+                  style={{
+                    textDecoration: 'underline wavy #ef4444',
+                    backgroundColor: 'rgba(239, 68, 68, 0.15)',
+                  }}
+                >
+                  {segment.text}
+                </span>
+              ) : (
+                <span key={index}>{segment.text}</span>
+              )
+            )}
+          </div>
+          <div style={{ color: '#ef4444' }}>
+            {errors.map((error) => error.message).join('; ')} (ignored)
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
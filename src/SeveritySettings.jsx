@@ -0,0 +1,134 @@
+// SeveritySettings.jsx
+import React, { useState } from 'react';
+import { DEFAULT_SEVERITY_BANDS, sortBands, validateBands } from './severityBands';
+
+// Editor for the named severity bands that drive classification, colours and filters
+const SeveritySettings = ({ bands, onSave, onClose, isDarkMode }) => {
+  const [draft, setDraft] = useState(bands);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const inputStyle = {
+    padding: '6px',
+    border: `1px solid ${borderColor}`,
+    borderRadius: '4px',
+    fontSize: '14px',
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+  };
+  const buttonStyle = {
+    padding: '6px 12px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '14px',
+  };
+
+  const problems = validateBands(draft);
+
+  const updateBand = (id, changes) => {
+    setDraft(draft.map((band) => (band.id === id ? { ...band, ...changes } : band)));
+  };
+
+  const handleAdd = () => {
+    const lowest = Math.min(...draft.map((band) => band.threshold));
+    setDraft([
+      ...draft,
+      {
+        id: `band-${Date.now()}`,
+        name: 'New Band',
+        threshold: Number.isFinite(lowest) ? lowest - 5 : 0,
+        color: '#3b82f6',
+      },
+    ]);
+  };
+
+  const handleSave = () => {
+    if (problems.length > 0) return;
+    onSave(sortBands(draft));
+  };
+
+  return (
+    <div
+      style={{
+        border: `1px solid ${borderColor}`,
+        borderRadius: '4px',
+        padding: '12px',
+        fontSize: '14px',
+        color: textColor,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+      }}
+    >
+      <div style={{ fontWeight: 'bold' }}>Severity Bands</div>
+      <div style={{ fontSize: '12px' }}>
+        A reading belongs to the highest band whose threshold it reaches. Readings below every
+        threshold fall into the lowest band.
+      </div>
+
+      {sortBands(draft).map((band) => (
+        <div key={band.id} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <input
+            type="color"
+            value={band.color}
+            onChange={(e) => updateBand(band.id, { color: e.target.value })}
+            style={{ width: '36px', height: '30px', padding: 0, border: 'none', background: 'none' }}
+          />
+          <input
+            type="text"
+            value={band.name}
+            onChange={(e) => updateBand(band.id, { name: e.target.value })}
+            style={{ ...inputStyle, width: '150px' }}
+          />
+          <span>from</span>
+          <input
+            type="number"
+            value={Number.isFinite(band.threshold) ? band.threshold : ''}
+            onChange={(e) =>
+              updateBand(band.id, {
+                threshold: e.target.value === '' ? NaN : parseFloat(e.target.value),
+              })
+            }
+            style={{ ...inputStyle, width: '70px' }}
+          />
+          <span>°C</span>
+          <button
+            onClick={() => setDraft(draft.filter((candidate) => candidate.id !== band.id))}
+            disabled={draft.length === 1}
+            style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      {problems.length > 0 && (
+        <div style={{ fontSize: '12px', color: '#ef4444' }}>{problems.join('. ')}</div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={handleAdd} style={buttonStyle}>
+          Add Band
+        </button>
+        <button onClick={() => setDraft(DEFAULT_SEVERITY_BANDS)} style={buttonStyle}>
+          Restore Defaults
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={problems.length > 0}
+          style={{ ...buttonStyle, border: 'none', backgroundColor: '#60348c', color: '#ffffff' }}
+        >
+          Save
+        </button>
+        <button onClick={onClose} style={buttonStyle}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SeveritySettings;
@@ -0,0 +1,143 @@
+// StatisticsPanel.jsx
+import React, { useMemo } from 'react';
+import { ResponsiveContainer, BarChart, Bar, Cell, XAxis, YAxis, Tooltip } from 'recharts';
+import { computeStatistics } from './statistics';
+
+const formatScore = (value) => (value === null ? '–' : `${value.toFixed(1)}°C`);
+
+// Week-over-week change in exceedance count; more exceedances is the bad direction
+const TrendIndicator = ({ trend, textColor }) => {
+  if (!trend) return <span>–</span>;
+  const { current, previous, change } = trend;
+  const color = current > previous ? '#ef4444' : current < previous ? '#22c55e' : textColor;
+  const arrow = current > previous ? '▲' : current < previous ? '▼' : '▶';
+  return (
+    <span style={{ color }}>
+      {arrow} {change === null ? 'new' : `${Math.abs(Math.round(change * 100))}%`}
+      <span style={{ color: textColor, fontSize: '11px' }}>
+        {' '}
+        ({previous} → {current})
+      </span>
+    </span>
+  );
+};
+
+// Aggregates of the currently filtered rows: headline figures, counts per severity,
+// exceedances per day and per recording, and the week-over-week trend
+const StatisticsPanel = ({ rows, severityBands, isDarkMode }) => {
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const tooltipStyle = {
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    fontSize: '12px',
+  };
+  const tickStyle = { fill: textColor, fontSize: 11 };
+
+  const stats = useMemo(() => computeStatistics(rows, severityBands), [rows, severityBands]);
+
+  const figures = [
+    { label: 'Exceedances', value: stats.count },
+    { label: 'Mean', value: formatScore(stats.meanScore) },
+    { label: 'Median', value: formatScore(stats.p50Score) },
+    { label: '90th pct', value: formatScore(stats.p90Score) },
+    { label: '95th pct', value: formatScore(stats.p95Score) },
+    { label: 'Max', value: formatScore(stats.maxScore) },
+    {
+      label: stats.trend
+        ? `Week to ${new Date(stats.trend.weekEnding * 1000).toLocaleDateString()}`
+        : 'Week over week',
+      value: <TrendIndicator trend={stats.trend} textColor={textColor} />,
+    },
+  ];
+
+  const chartTitleStyle = { fontSize: '12px', marginBottom: '4px' };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ marginBottom: '4px' }}>Statistics (current filter):</div>
+
+      {/* Headline figures */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+        {figures.map((figure) => (
+          <div
+            key={figure.label}
+            style={{
+              padding: '6px 10px',
+              border: `1px solid ${borderColor}`,
+              borderRadius: '4px',
+              minWidth: '90px',
+            }}
+          >
+            <div style={{ fontSize: '11px' }}>{figure.label}</div>
+            <div style={{ fontWeight: 'bold' }}>{figure.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: '1fr 2fr 2fr',
+          gap: '16px',
+          marginTop: '12px',
+        }}
+      >
+        {/* Counts per severity band */}
+        <div>
+          <div style={chartTitleStyle}>Per severity</div>
+          <div style={{ height: '150px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={stats.severityCounts} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                <XAxis dataKey="name" tick={tickStyle} />
+                <YAxis allowDecimals={false} tick={tickStyle} width={40} />
+                <Tooltip contentStyle={tooltipStyle} cursor={{ fillOpacity: 0.1 }} />
+                <Bar dataKey="count" name="Exceedances" isAnimationActive={false}>
+                  {stats.severityCounts.map((band) => (
+                    <Cell key={band.id} fill={band.color} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Exceedances per day */}
+        <div>
+          <div style={chartTitleStyle}>Per day</div>
+          <div style={{ height: '150px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={stats.perDay} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                <XAxis dataKey="label" tick={tickStyle} />
+                <YAxis allowDecimals={false} tick={tickStyle} width={40} />
+                <Tooltip contentStyle={tooltipStyle} cursor={{ fillOpacity: 0.1 }} />
+                <Bar dataKey="count" name="Exceedances" fill="#60348c" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Exceedances per recording, in time order */}
+        <div>
+          <div style={chartTitleStyle}>Per recording</div>
+          <div style={{ height: '150px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={stats.perRecording} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                <XAxis dataKey="recordingId" tick={tickStyle} />
+                <YAxis allowDecimals={false} tick={tickStyle} width={40} />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  cursor={{ fillOpacity: 0.1 }}
+                  labelFormatter={(recordingId) => `Recording ${recordingId}`}
+                />
+                <Bar dataKey="count" name="Exceedances" fill="#60348c" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatisticsPanel;
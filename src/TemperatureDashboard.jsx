@@ -1,21 +1,114 @@
 // TemperatureDashboard.jsx
-import React, { useState, useEffect } from 'react';
-import Papa from 'papaparse';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import React, { useState, useEffect, useMemo, useRef, useDeferredValue } from 'react';
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Polyline,
+  CircleMarker,
+  Tooltip,
+  useMap,
+  useMapEvents,
+} from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet-control-geocoder/dist/Control.Geocoder.css';
 import 'leaflet-control-geocoder';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import { readCsvFile, mergeRows, getRowKey } from './csvData';
+import CsvImport from './CsvImport';
+import LiveFeedPanel from './LiveFeedPanel';
+import { loadFeedConfig, saveFeedConfig } from './liveFeed';
+import DataQualityPanel from './DataQualityPanel';
+import RunBrowser from './RunBrowser';
+import ComparisonPanel from './ComparisonPanel';
+import ComparisonLayer from './ComparisonLayer';
+import {
+  COMPARISON_COLORS,
+  matchesSelection,
+  describeSelection,
+  compareSelections,
+} from './comparison';
+import { summariseRuns, getRunPath } from './runs';
+import PositionChart from './PositionChart';
+import HotspotList from './HotspotList';
+import StatisticsPanel from './StatisticsPanel';
+import { findHotspots } from './hotspots';
+import AnnotationsPanel from './AnnotationsPanel';
+import WeatherImport from './WeatherImport';
+import AmbientChart from './AmbientChart';
+import { mergeReadings, joinWeather, resolveStation } from './weatherData';
+import {
+  ANNOTATION_STATUSES,
+  ANY_ANNOTATION,
+  getAnnotationStatus,
+  NOT_ANNOTATED,
+  loadAnnotations,
+  saveAnnotations,
+  setAnnotation,
+  setHotspotAnnotation,
+  removeAnnotation,
+  createAnnotationLookup,
+  findHotspotAnnotation,
+  matchesAnnotationStatus,
+  getAnnotationRank,
+} from './annotations';
+import ExceedanceLayer from './ExceedanceLayer';
+import HeatmapLayer from './HeatmapLayer';
+import MapLayerSwitcher from './MapLayerSwitcher';
+import { HEAT_GRADIENT, DEFAULT_HEATMAP_OPTIONS } from './heatmap';
+import DataTable from './DataTable';
+import ExportMenu from './ExportMenu';
+import ReportButton from './ReportButton';
+import { DEFAULT_VIEW_STATE, readViewStateFromUrl, writeViewStateToUrl } from './viewState';
+import TimelinePlayback from './TimelinePlayback';
+import SearchBox from './SearchBox';
+import { parseQuery, matchesQuery } from './searchQuery';
+import PresetsPanel from './PresetsPanel';
+import { loadPresets, savePresets, getDefaultPresetView } from './presets';
+import RouteLayer from './RouteLayer';
+import RouteSummary from './RouteSummary';
+import { referenceRow } from './linearReferencing';
+import {
+  ALL_ROUTES,
+  parseRouteManifest,
+  loadRouteData,
+  resolveRouteId,
+  getRouteRows,
+  getDefaultBounds,
+  getRouteLabel,
+} from './routeManifest';
+import AlertsDrawer from './AlertsDrawer';
+import {
+  loadAlertSettings,
+  saveAlertSettings,
+  loadAlertStates,
+  saveAlertStates,
+  pruneAlertStates,
+  evaluateRules,
+  getAlertStatus,
+} from './alertRules';
+import { getBounds, isInPolygon } from './geo';
+import AreaSelectLayer from './AreaSelectLayer';
+import OfflineMapsPanel from './OfflineMapsPanel';
+import { TILE_LAYERS } from './offlineCache';
+import SeveritySettings from './SeveritySettings';
+import {
+  loadSeverityBands,
+  saveSeverityBands,
+  classifySeverity,
+  getBandColor,
+  getSeverityRank,
+} from './severityBands';
 
-// Fix for default marker icons in Leaflet
+// Fix for default marker icons in Leaflet, bundled so they load offline
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl:
-    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl:
-    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl:
-    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
 // Search Control Component
@@ -50,52 +143,96 @@ const SearchControl = () => {
   return null;
 };
 
+// During playback, points fade out over this many seconds of data time
+const PLAYBACK_FADE_SECONDS = 24 * 60 * 60;
+
+// Reports the map centre and zoom after every pan or zoom
+const MapViewTracker = ({ onViewChange }) => {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
+    },
+  });
+
+  return null;
+};
+
 const TemperatureDashboard = () => {
+  // View restored from a shared link's query string, else the default preset if one is set
+  const [initialView] = useState(
+    () =>
+      (!window.location.search && getDefaultPresetView(loadPresets())) || readViewStateFromUrl()
+  );
+  const [presetsState, setPresetsState] = useState(loadPresets);
+  const [routes, setRoutes] = useState([]);
+  const [selectedRouteId, setSelectedRouteId] = useState(initialView.selectedRoute);
+  const [routeGeometries, setRouteGeometries] = useState({});
+  // { message, rowsMissing } for the manifest or each route that did not fully load
+  const [routeLoadErrors, setRouteLoadErrors] = useState([]);
   const [data, setData] = useState([]);
   const [filteredData, setFilteredData] = useState([]);
-  const [temperatureRange, setTemperatureRange] = useState([40, 80]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedSeverity, setSelectedSeverity] = useState('all');
+  const [temperatureRange, setTemperatureRange] = useState(initialView.temperatureRange);
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm);
+  const [selectedSeverity, setSelectedSeverity] = useState(initialView.selectedSeverity);
+  const [annotationStatus, setAnnotationStatus] = useState(initialView.annotationStatus);
+  const [annotations, setAnnotations] = useState(loadAnnotations);
+  const [weatherReadings, setWeatherReadings] = useState([]);
+  const [weatherStation, setWeatherStation] = useState(null);
   const [isDarkMode, setIsDarkMode] = useState(false);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
-  const [isMapExpanded, setIsMapExpanded] = useState(false);
-  const [mapCenter, setMapCenter] = useState([51.505, -0.09]); // Default center
-  const [mapBounds, setMapBounds] = useState(null);
-  const [dateFrom, setDateFrom] = useState('');
-  const [dateTo, setDateTo] = useState('');
+  const [sortConfig, setSortConfig] = useState(initialView.sortConfig);
+  const [isMapExpanded, setIsMapExpanded] = useState(initialView.isMapExpanded);
+  const [mapView, setMapView] = useState(initialView.mapView);
+  const [dateFrom, setDateFrom] = useState(initialView.dateFrom);
+  const [dateTo, setDateTo] = useState(initialView.dateTo);
+  const [qualityReports, setQualityReports] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(initialView.selectedRun);
+  const [selectedArea, setSelectedArea] = useState(initialView.selectedArea);
+  // 'rectangle' or 'lasso' while an area is being drawn on the map
+  const [areaDrawMode, setAreaDrawMode] = useState(null);
+  const [hoveredPoint, setHoveredPoint] = useState(null);
+  // How exceedances are drawn on the map: 'markers', 'heatmap' or 'hotspots'
+  const [mapLayer, setMapLayer] = useState('markers');
+  const [heatmapOptions, setHeatmapOptions] = useState(DEFAULT_HEATMAP_OPTIONS);
+  // A and B selections while comparing, or null
+  const [comparison, setComparison] = useState(null);
+  const isComparing = comparison !== null;
+  // Comparison replaces whichever layer is picked in the layer switcher
+  const shownLayer = isComparing ? 'comparison' : mapLayer;
+  const [severityBands, setSeverityBands] = useState(loadSeverityBands);
+  const [isSeveritySettingsOpen, setIsSeveritySettingsOpen] = useState(false);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const [fadeOlder, setFadeOlder] = useState(true);
+  const [showRoute, setShowRoute] = useState(true);
+  const [showMismatchesOnly, setShowMismatchesOnly] = useState(false);
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [alertStates, setAlertStates] = useState(loadAlertStates);
+  const [isAlertsOpen, setIsAlertsOpen] = useState(false);
+  const [shownAlert, setShownAlert] = useState(null);
+  const [feedConfig, setFeedConfig] = useState(loadFeedConfig);
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const mapRef = useRef(null);
+  // Latest data, for counting an import against rows that arrived while it was read
+  const dataRef = useRef(data);
 
   const transition = 'all 0.3s ease';
 
   // Function to determine marker color based on severity
-  const getSeverityColor = (severity) => {
-    switch (severity) {
-      case 'high':
-        return '#ef4444';
-      case 'medium':
-        return '#f59e0b';
-      case 'low':
-        return '#22c55e';
-      default:
-        return '#666666';
-    }
-  };
+  const getSeverityColor = (severity) => getBandColor(severityBands, severity);
 
-  // Create custom marker icon based on severity
-  const createCustomIcon = (severity) => {
-    return L.divIcon({
-      className: 'custom-div-icon',
-      html: `<div style="
-        width: 12px;
-        height: 12px;
-        border-radius: 50%;
-        background-color: ${getSeverityColor(severity)};
-        border: 2px solid white;
-        box-shadow: 0 0 4px rgba(0,0,0,0.3);
-      "></div>`,
-      iconSize: [12, 12],
-      iconAnchor: [6, 6],
-    });
-  };
+  // Ring drawn over the marker matching the point hovered in the chart
+  const highlightIcon = L.divIcon({
+    className: 'custom-div-icon',
+    html: `<div style="
+      width: 20px;
+      height: 20px;
+      border-radius: 50%;
+      border: 3px solid #60348c;
+      box-shadow: 0 0 6px rgba(96,52,140,0.8);
+    "></div>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+  });
 
   // Function to handle sorting logic
   const handleSort = (key) => {
@@ -106,119 +243,240 @@ const TemperatureDashboard = () => {
     setSortConfig({ key, direction });
   };
 
-  // Function to sort data based on current sort configuration
-  const getSortedData = (dataToSort) => {
-    if (!sortConfig.key) return dataToSort;
-
-    return [...dataToSort].sort((a, b) => {
-      let aValue = a[sortConfig.key];
-      let bValue = b[sortConfig.key];
-
-      // Special handling for date and severity
-      if (sortConfig.key === 'date') {
-        aValue = new Date(a.UNIX_TIME * 1000).getTime();
-        bValue = new Date(b.UNIX_TIME * 1000).getTime();
-      }
-      if (sortConfig.key === 'severity') {
-        const severityOrder = { high: 3, medium: 2, low: 1 };
-        aValue = severityOrder[a.severity];
-        bValue = severityOrder[b.severity];
-      }
-
-      if (aValue < bValue) return sortConfig.direction === 'asc' ? -1 : 1;
-      if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1;
-      return 0;
-    });
-  };
-
-  // Style for table headers
-  const getHeaderStyle = (key) => ({
-    cursor: 'pointer',
-    userSelect: 'none',
-    fontWeight: sortConfig.key === key ? 'bold' : 'normal',
-    transition,
-    fontSize: '14px',
-    color: isDarkMode ? '#ffffff' : '#000000',
-  });
-
-  // Function to display sort arrows in headers
-  const getSortArrow = (key) => {
-    if (sortConfig.key === key) {
-      return sortConfig.direction === 'asc' ? ' ↑' : ' ↓';
-    }
-    return '';
-  };
-
-  // Effect to load and parse CSV data on component mount
+  // Effect to load the route manifest, then every route's CSV data and geometry, on mount.
+  // Each route loads on its own, so one that fails is reported without losing the others.
   useEffect(() => {
     const loadData = async () => {
       try {
-        const response = await fetch('/ta_exceedences.csv');
-        const text = await response.text();
-
-        Papa.parse(text, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          complete: (results) => {
-            if (results.data && results.data.length > 0) {
-              const parsedData = results.data.map((row) => ({
-                ...row,
-                date: new Date(row.UNIX_TIME * 1000).toLocaleString(),
-                severity:
-                  row.SCORE >= 70
-                    ? 'high'
-                    : row.SCORE >= 55
-                    ? 'medium'
-                    : 'low',
-              }));
-
-              setData(parsedData);
-              setFilteredData(parsedData);
-
-              // Calculate map bounds based on data points
-              if (parsedData.length > 0) {
-                const lats = parsedData.map((d) => d.LATITUDE);
-                const lngs = parsedData.map((d) => d.LONGITUDE);
-                const center = [
-                  (Math.min(...lats) + Math.max(...lats)) / 2,
-                  (Math.min(...lngs) + Math.max(...lngs)) / 2,
-                ];
-                setMapCenter(center);
-                setMapBounds(
-                  L.latLngBounds(
-                    [Math.min(...lats), Math.min(...lngs)],
-                    [Math.max(...lats), Math.max(...lngs)]
-                  )
-                );
-              }
+        const response = await fetch('/routes.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = parseRouteManifest(await response.json());
+        const results = await Promise.allSettled(manifest.map(loadRouteData));
+        const loaded = results.flatMap((result, index) =>
+          result.status === 'fulfilled' ? [{ route: manifest[index], ...result.value }] : []
+        );
+
+        setRoutes(manifest);
+        setData(loaded.flatMap(({ rows }) => rows));
+        setQualityReports(loaded.flatMap(({ quality }) => quality));
+        setRouteGeometries(
+          Object.fromEntries(
+            loaded
+              .filter(({ geometry }) => geometry)
+              .map(({ route, geometry }) => [route.id, geometry])
+          )
+        );
+        // A route without its geometry still has its rows, so only a failed route counts
+        // as missing rows
+        setRouteLoadErrors(
+          results.flatMap((result, index) => {
+            const label = getRouteLabel(manifest[index]);
+            if (result.status === 'fulfilled') {
+              const { geometryError } = result.value;
+              if (!geometryError) return [];
+              const message = `Could not load the line of ${label}: ${geometryError}`;
+              return [{ message, rowsMissing: false }];
             }
-          },
-          error: (error) => {
-            console.error('Parse error:', error);
-          },
-        });
+            console.error(`Route load error (${manifest[index].id}):`, result.reason);
+            const message = `Could not load ${label}: ${result.reason.message}`;
+            return [{ message, rowsMissing: true }];
+          })
+        );
       } catch (error) {
         console.error('Load error:', error);
+        setRouteLoadErrors([
+          { message: `Could not load the route manifest: ${error.message}`, rowsMissing: true },
+        ]);
       }
     };
 
     loadData();
   }, []);
 
+  // Route being shown, or ALL_ROUTES for the overview
+  const activeRouteId = resolveRouteId(routes, selectedRouteId);
+  const activeRoute = routes.find((route) => route.id === activeRouteId) || null;
+  const route = activeRoute ? routeGeometries[activeRoute.id] || null : null;
+  const routeColors = useMemo(
+    () => Object.fromEntries(routes.map((candidate) => [candidate.id, candidate.color])),
+    [routes]
+  );
+
+  // Where the map starts for the active route, before any view is restored
+  const defaultBounds = useMemo(
+    () => getDefaultBounds(routes, data, activeRouteId),
+    [routes, data, activeRouteId]
+  );
+  const mapBounds = useMemo(() => defaultBounds && L.latLngBounds(defaultBounds), [defaultBounds]);
+
+  // Effect to follow the connection so the banner can show when working from cache
+  useEffect(() => {
+    const updateOffline = () => setIsOffline(!navigator.onLine);
+    window.addEventListener('online', updateOffline);
+    window.addEventListener('offline', updateOffline);
+    return () => {
+      window.removeEventListener('online', updateOffline);
+      window.removeEventListener('offline', updateOffline);
+    };
+  }, []);
+
+  // Switch routes, clearing a run that belongs to the previous one and fitting the map
+  const handleSelectRoute = (routeId) => {
+    setSelectedRouteId(routeId);
+    setSelectedRun(null);
+    const bounds = getDefaultBounds(routes, data, routeId);
+    if (mapRef.current && bounds) {
+      mapRef.current.fitBounds(bounds);
+    }
+  };
+
+  useEffect(() => {
+    dataRef.current = data;
+  });
+
+  // Merge uploaded CSV files into the active route's data, returning a report per file.
+  // The merge runs on the latest data so rows the live feed adds meanwhile are kept.
+  const handleImport = async (files) => {
+    const parsed = [];
+    for (const file of files) {
+      parsed.push(await readCsvFile(file, { routeId: activeRouteId }));
+    }
+
+    let counted = dataRef.current;
+    const reports = parsed.map(({ rows, ...report }) => {
+      const { rows: merged, added, skipped } = mergeRows(counted, rows);
+      counted = merged;
+      return { ...report, added, skipped };
+    });
+
+    setData((previous) =>
+      parsed.reduce((merged, { rows }) => mergeRows(merged, rows).rows, previous)
+    );
+    setQualityReports((previous) => [...previous, ...reports.map((report) => report.quality)]);
+    return reports;
+  };
+
+  const handleFeedConfigChange = (config) => {
+    setFeedConfig(config);
+    saveFeedConfig(config);
+  };
+
+  // Append rows arriving from the live feed to its route. Rows already loaded are
+  // skipped, and filters, sorting and the map view are left as they are.
+  const handleFeedRows = (rows) => {
+    const routeId = resolveRouteId(routes, feedConfig.routeId);
+    setData((previous) => {
+      const { rows: merged, added } = mergeRows(
+        previous,
+        rows.map((row) => ({ ...row, routeId }))
+      );
+      // Keep the same array when nothing is new so nothing downstream recomputes
+      return added > 0 ? merged : previous;
+    });
+  };
+
+  // Rows of the active route, or of every route in the overview
+  const routeData = useMemo(() => getRouteRows(data, activeRouteId), [data, activeRouteId]);
+
+  // Snap every row to its route and compare its location with its recorded yardage
+  const referencedData = useMemo(
+    () =>
+      routeData.map((row) =>
+        routeGeometries[row.routeId]
+          ? { ...row, ...referenceRow(routeGeometries[row.routeId], row) }
+          : row
+      ),
+    [routeData, routeGeometries]
+  );
+
+  // Classify every row against the configured severity bands
+  const classifiedData = useMemo(
+    () =>
+      referencedData.map((row) => ({
+        ...row,
+        severity: classifySeverity(row.SCORE, severityBands),
+      })),
+    [referencedData, severityBands]
+  );
+
+  // Attach each row's annotation, its own or that of a hotspot it lies within
+  const annotatedData = useMemo(() => {
+    const getAnnotation = createAnnotationLookup(annotations);
+    return classifiedData.map((row) => ({ ...row, annotation: getAnnotation(row) }));
+  }, [classifiedData, annotations]);
+
+  // Attach the nearest-in-time reading of the chosen weather station, once weather data
+  // is imported
+  const activeWeatherStation = resolveStation(weatherReadings, weatherStation);
+  const weatheredData = useMemo(
+    () => joinWeather(annotatedData, weatherReadings, activeWeatherStation),
+    [annotatedData, weatherReadings, activeWeatherStation]
+  );
+  const weatherMatchCount = useMemo(
+    () => weatheredData.filter((row) => row.ambientTemp !== undefined).length,
+    [weatheredData]
+  );
+
+  const handleAnnotationsChange = (next) => {
+    setAnnotations(next);
+    saveAnnotations(next);
+  };
+
+  const handleSavePointAnnotation = (target, fields) =>
+    handleAnnotationsChange(setAnnotation(annotations, target, fields));
+
+  const handleSaveHotspotAnnotation = (hotspot, fields) =>
+    handleAnnotationsChange(setHotspotAnnotation(annotations, hotspot, fields));
+
+  const handleRemoveAnnotation = (id) =>
+    handleAnnotationsChange(removeAnnotation(annotations, id));
+
+  // One summary per recording, built from all of the route's data
+  const runs = useMemo(() => summariseRuns(classifiedData), [classifiedData]);
+
+  // Save edited severity bands, clearing a severity filter that no longer exists
+  const handleSaveSeverityBands = (bands) => {
+    setSeverityBands(bands);
+    saveSeverityBands(bands);
+    if (!bands.some((band) => band.id === selectedSeverity)) {
+      setSelectedSeverity('all');
+    }
+    setIsSeveritySettingsOpen(false);
+  };
+
+  // Let typing stay responsive while large datasets are re-filtered
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+
   // Effect to filter data whenever dependencies change
   useEffect(() => {
-    let filtered = data;
+    let filtered = weatheredData;
+
+    // Filter by selected run, unless the comparison's A and B are picking the rows
+    if (selectedRun !== null && !isComparing) {
+      filtered = filtered.filter((row) => row.RECORDING_ID === selectedRun);
+    }
 
-    // Filter by date range
-    if (dateFrom) {
+    // Filter to the area drawn on the map
+    if (selectedArea) {
+      filtered = filtered.filter((row) =>
+        isInPolygon([row.LATITUDE, row.LONGITUDE], selectedArea)
+      );
+    }
+
+    // Filter to rows whose location disagrees with their recorded yardage
+    if (showMismatchesOnly) {
+      filtered = filtered.filter((row) => row.isPositionMismatch);
+    }
+
+    // Filter by date range, again left to A and B while comparing
+    if (dateFrom && !isComparing) {
       const fromTime = new Date(dateFrom).getTime();
-      filtered = filtered.filter((row) => new Date(row.date).getTime() >= fromTime);
+      filtered = filtered.filter((row) => row.UNIX_TIME * 1000 >= fromTime);
     }
 
-    if (dateTo) {
+    if (dateTo && !isComparing) {
       const toTime = new Date(dateTo).getTime();
-      filtered = filtered.filter((row) => new Date(row.date).getTime() <= toTime);
+      filtered = filtered.filter((row) => row.UNIX_TIME * 1000 <= toTime);
     }
 
     // Filter by severity
@@ -226,6 +484,11 @@ const TemperatureDashboard = () => {
       filtered = filtered.filter((row) => row.severity === selectedSeverity);
     }
 
+    // Filter by annotation status
+    if (annotationStatus !== 'all') {
+      filtered = filtered.filter((row) => matchesAnnotationStatus(row, annotationStatus));
+    }
+
     // Filter by temperature range
     const minTemp = temperatureRange[0];
     const maxTemp = temperatureRange[1];
@@ -235,38 +498,296 @@ const TemperatureDashboard = () => {
         (maxTemp === '' || row.SCORE <= maxTemp)
     );
 
-    // Filter by search term
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase();
-      filtered = filtered.filter(
-        (row) =>
-          row.date.toLowerCase().includes(searchLower) ||
-          row.SCORE.toString().includes(searchLower) ||
-          row.POSITION_YARDS.toString().includes(searchLower) ||
-          row.LATITUDE.toString().includes(searchLower) ||
-          row.LONGITUDE.toString().includes(searchLower) ||
-          row.RECORDING_ID.toString().includes(searchLower)
-      );
+    // Filter by search query (structured terms plus free text)
+    if (deferredSearchTerm) {
+      const query = parseQuery(deferredSearchTerm, severityBands);
+      filtered = filtered.filter((row) => matchesQuery(row, query));
     }
 
     setFilteredData(filtered);
   }, [
-    data,
+    weatheredData,
+    temperatureRange,
+    deferredSearchTerm,
+    severityBands,
+    selectedSeverity,
+    annotationStatus,
+    dateFrom,
+    dateTo,
+    selectedRun,
+    selectedArea,
+    showMismatchesOnly,
+    isComparing,
+  ]);
+
+  // Rows on each side of the comparison, and their differences per section of track
+  const comparisonRows = useMemo(
+    () =>
+      comparison && {
+        a: filteredData.filter((row) => matchesSelection(row, comparison.a)),
+        b: filteredData.filter((row) => matchesSelection(row, comparison.b)),
+      },
+    [filteredData, comparison]
+  );
+  const comparisonResult = useMemo(
+    () =>
+      comparison && compareSelections(comparisonRows.a, comparisonRows.b, comparison.sectionYards),
+    [comparison, comparisonRows]
+  );
+
+  // Identifies the filters and sort behind the table; new or updated rows keep it the same
+  const tableResetKey = JSON.stringify([
+    selectedRouteId,
     temperatureRange,
-    searchTerm,
+    deferredSearchTerm,
     selectedSeverity,
+    annotationStatus,
     dateFrom,
     dateTo,
+    selectedRun,
+    selectedArea,
+    showMismatchesOnly,
+    comparison,
+    sortConfig,
   ]);
 
+  // Sorted copy of the filtered rows, recomputed only when its inputs change
+  const sortedData = useMemo(() => {
+    if (!sortConfig.key) return filteredData;
+
+    return [...filteredData].sort((a, b) => {
+      let aValue = a[sortConfig.key];
+      let bValue = b[sortConfig.key];
+
+      // Special handling for date, severity, annotation status and ambient temperature
+      if (sortConfig.key === 'date') {
+        aValue = a.UNIX_TIME;
+        bValue = b.UNIX_TIME;
+      }
+      if (sortConfig.key === 'severity') {
+        aValue = getSeverityRank(severityBands, a.severity);
+        bValue = getSeverityRank(severityBands, b.severity);
+      }
+      if (sortConfig.key === 'annotation') {
+        aValue = getAnnotationRank(a);
+        bValue = getAnnotationRank(b);
+      }
+      if (sortConfig.key === 'ambientTemp') {
+        // Rows without a weather reading sort below every temperature
+        aValue = a.ambientTemp ?? -Infinity;
+        bValue = b.ambientTemp ?? -Infinity;
+      }
+
+      if (aValue < bValue) return sortConfig.direction === 'asc' ? -1 : 1;
+      if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1;
+      return 0;
+    });
+  }, [filteredData, sortConfig, severityBands]);
+
+  // Points drawn on the map, limited to those already reached during playback
+  const mapData = useMemo(
+    () =>
+      playbackTime === null
+        ? filteredData
+        : filteredData.filter((row) => row.UNIX_TIME <= playbackTime),
+    [filteredData, playbackTime]
+  );
+
+  // Older points fade out during playback when enabled
+  const getPointOpacity = (point) =>
+    playbackTime === null || !fadeOlder
+      ? 1
+      : Math.max(0.15, 1 - (playbackTime - point.UNIX_TIME) / PLAYBACK_FADE_SECONDS);
+
+  // Locations exceeding on several recordings within the current filter
+  const hotspots = useMemo(() => findHotspots(filteredData), [filteredData]);
+
+  const getHotspotAnnotation = (hotspot) => findHotspotAnnotation(annotations, hotspot);
+
+  // Annotation status appended to a hotspot's map tooltip
+  const getHotspotStatusLabel = (hotspot) => {
+    const annotation = getHotspotAnnotation(hotspot);
+    if (!annotation) return '';
+    const status = getAnnotationStatus(annotation.status);
+    return ` · ${status.icon} ${status.name}`;
+  };
+
+  // Legend heading and entries for the layer shown on the map
+  const legendTitle = {
+    markers: activeRouteId === ALL_ROUTES ? 'Route:' : 'Severity:',
+    heatmap: `Density (weighted by ${heatmapOptions.weightBy === 'score' ? 'temperature' : 'count'}):`,
+    hotspots: 'Hotspot peak severity (size = recordings):',
+    comparison: 'Comparison:',
+  }[shownLayer];
+  const legendEntries =
+    shownLayer === 'comparison'
+      ? ['a', 'b'].map((side) => ({
+          id: side,
+          name: `${side.toUpperCase()}: ${describeSelection(comparison[side])}`,
+          color: COMPARISON_COLORS[side],
+        }))
+      : shownLayer === 'markers' && activeRouteId === ALL_ROUTES
+        ? routes.map((candidate) => ({ ...candidate, name: getRouteLabel(candidate) }))
+        : severityBands;
+
+  // Zoom the map to a hotspot picked from the list
+  const handleSelectHotspot = (hotspot) => {
+    setMapLayer('hotspots');
+    if (mapRef.current) {
+      mapRef.current.flyTo([hotspot.latitude, hotspot.longitude], 17);
+    }
+  };
+
   // Function to reset all filters and sorting
   const handleReset = () => {
-    setTemperatureRange([40, 80]);
-    setSearchTerm('');
-    setSelectedSeverity('all');
-    setDateFrom('');
-    setDateTo('');
-    setSortConfig({ key: null, direction: 'asc' });
+    setTemperatureRange(DEFAULT_VIEW_STATE.temperatureRange);
+    setSearchTerm(DEFAULT_VIEW_STATE.searchTerm);
+    setSelectedSeverity(DEFAULT_VIEW_STATE.selectedSeverity);
+    setAnnotationStatus(DEFAULT_VIEW_STATE.annotationStatus);
+    setDateFrom(DEFAULT_VIEW_STATE.dateFrom);
+    setDateTo(DEFAULT_VIEW_STATE.dateTo);
+    setSelectedRun(DEFAULT_VIEW_STATE.selectedRun);
+    setSelectedArea(DEFAULT_VIEW_STATE.selectedArea);
+    setSortConfig(DEFAULT_VIEW_STATE.sortConfig);
+  };
+
+  // Filters, sort and map view as one object, for the URL and saved presets
+  const currentView = useMemo(
+    () => ({
+      selectedRoute: selectedRouteId,
+      temperatureRange,
+      searchTerm,
+      selectedSeverity,
+      annotationStatus,
+      dateFrom,
+      dateTo,
+      selectedRun,
+      selectedArea,
+      sortConfig,
+      isMapExpanded,
+      mapView,
+    }),
+    [
+      selectedRouteId,
+      temperatureRange,
+      searchTerm,
+      selectedSeverity,
+      annotationStatus,
+      dateFrom,
+      dateTo,
+      selectedRun,
+      selectedArea,
+      sortConfig,
+      isMapExpanded,
+      mapView,
+    ]
+  );
+
+  // Effect to keep the URL in step with the current view so it can be shared
+  useEffect(() => {
+    writeViewStateToUrl(currentView);
+  }, [currentView]);
+
+  // Restore a saved view, moving the map if it has one
+  const applyView = (view) => {
+    setSelectedRouteId(view.selectedRoute);
+    setTemperatureRange(view.temperatureRange);
+    setSearchTerm(view.searchTerm);
+    setSelectedSeverity(view.selectedSeverity);
+    setAnnotationStatus(view.annotationStatus);
+    setDateFrom(view.dateFrom);
+    setDateTo(view.dateTo);
+    setSelectedRun(view.selectedRun);
+    setSelectedArea(view.selectedArea);
+    setSortConfig(view.sortConfig);
+    setIsMapExpanded(view.isMapExpanded);
+    if (mapRef.current) {
+      if (view.mapView) {
+        mapRef.current.setView(view.mapView.center, view.mapView.zoom);
+      } else {
+        const bounds = getDefaultBounds(routes, data, resolveRouteId(routes, view.selectedRoute));
+        if (bounds) mapRef.current.fitBounds(bounds);
+      }
+    }
+  };
+
+  const handlePresetsChange = (state) => {
+    setPresetsState(state);
+    savePresets(state);
+  };
+
+  // Alerts raised by the rules over everything loaded, re-run when data is loaded or imported
+  const alerts = useMemo(
+    () => evaluateRules(data, alertSettings.rules, severityBands),
+    [data, alertSettings.rules, severityBands]
+  );
+  const activeAlertCount = alerts.filter(
+    (alert) => getAlertStatus(alert, alertStates) === 'active'
+  ).length;
+
+  const handleAlertSettingsChange = (settings) => {
+    setAlertSettings(settings);
+    saveAlertSettings(settings);
+  };
+
+  const handleAlertStatesChange = (states) => {
+    setAlertStates(states);
+    saveAlertStates(states);
+  };
+
+  // Effect to send one browser notification for active alerts not notified before
+  useEffect(() => {
+    if (
+      !alertSettings.notificationsEnabled ||
+      !('Notification' in window) ||
+      Notification.permission !== 'granted'
+    ) {
+      return;
+    }
+    const fresh = alerts.filter(
+      (alert) =>
+        getAlertStatus(alert, alertStates) === 'active' &&
+        !(alertStates[alert.id] && alertStates[alert.id].notified)
+    );
+    if (fresh.length === 0) return;
+
+    new Notification(`${fresh.length} new temperature alert(s)`, {
+      body: fresh
+        .slice(0, 3)
+        .map((alert) => alert.message)
+        .join('\n'),
+    });
+    const next = { ...alertStates };
+    fresh.forEach((alert) => {
+      next[alert.id] = { ...next[alert.id], notified: true };
+    });
+    setAlertStates(next);
+    saveAlertStates(next);
+  }, [alerts, alertStates, alertSettings.notificationsEnabled]);
+
+  // Effect to forget the states of alerts that no longer exist, once every route has
+  // loaded so alerts of a route still loading are not mistaken for gone
+  useEffect(() => {
+    if (routes.length === 0 || routeLoadErrors.some((error) => error.rowsMissing)) return;
+    const pruned = pruneAlertStates(alertStates, alerts, alertSettings.rules);
+    if (pruned !== alertStates) {
+      setAlertStates(pruned);
+      saveAlertStates(pruned);
+    }
+  }, [alerts, alertStates, alertSettings.rules, routes, routeLoadErrors]);
+
+  // Zoom to an alert's rows and ring them, switching to their route if another is shown
+  const handleShowAlert = (alert) => {
+    const { routeId } = alert.rows[0];
+    if (activeRouteId !== ALL_ROUTES && routeId && routeId !== activeRouteId) {
+      setSelectedRouteId(routeId);
+      setSelectedRun(null);
+    }
+    setShownAlert(alert);
+    setIsAlertsOpen(false);
+    if (mapRef.current) {
+      mapRef.current.fitBounds(getBounds(alert.rows), { padding: [40, 40], maxZoom: 17 });
+    }
   };
 
   return (
@@ -290,8 +811,70 @@ const TemperatureDashboard = () => {
           color: '#ffffff',
         }}
       >
-        <h2 style={{ margin: 0 }}>Railway Temperature Exceedance</h2>
+        <h2 style={{ margin: 0 }}>
+          Railway Temperature Exceedance
+          {/* Shown while there is no connection and data and tiles come from the cache */}
+          {isOffline && (
+            <span
+              title="No connection: showing cached data and map tiles"
+              style={{
+                marginLeft: '12px',
+                padding: '4px 8px',
+                borderRadius: '4px',
+                backgroundColor: '#f59e0b',
+                color: '#000000',
+                fontSize: '12px',
+                fontWeight: 'normal',
+                verticalAlign: 'middle',
+              }}
+            >
+              Offline · working from cache
+            </span>
+          )}
+        </h2>
         <div>
+          {/* Route selector, with an overview of every route */}
+          {routes.length > 0 && (
+            <select
+              value={activeRouteId}
+              onChange={(e) => handleSelectRoute(e.target.value)}
+              style={{
+                padding: '8px 12px',
+                marginRight: '10px',
+                borderRadius: '4px',
+                border: 'none',
+                backgroundColor: isDarkMode ? '#555555' : '#ffffff',
+                color: isDarkMode ? '#ffffff' : '#000000',
+                cursor: 'pointer',
+                transition,
+                fontSize: '14px',
+              }}
+            >
+              {routes.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>
+                  {getRouteLabel(candidate)}
+                </option>
+              ))}
+              <option value={ALL_ROUTES}>All routes</option>
+            </select>
+          )}
+          {/* Button to open the alerts drawer, showing the number of active alerts */}
+          <button
+            onClick={() => setIsAlertsOpen(!isAlertsOpen)}
+            style={{
+              padding: '8px 12px',
+              marginRight: '10px',
+              borderRadius: '4px',
+              border: 'none',
+              backgroundColor: activeAlertCount > 0 ? '#ef4444' : isDarkMode ? '#555555' : '#ffffff',
+              color: activeAlertCount > 0 || isDarkMode ? '#ffffff' : '#000000',
+              cursor: 'pointer',
+              transition,
+              fontSize: '14px',
+            }}
+          >
+            🔔 Alerts ({activeAlertCount})
+          </button>
           {/* Button to expand or minimize the map */}
           <button
             onClick={() => setIsMapExpanded(!isMapExpanded)}
@@ -328,6 +911,22 @@ const TemperatureDashboard = () => {
         </div>
       </div>
 
+      {/* Routes whose data could not be loaded */}
+      {routeLoadErrors.length > 0 && (
+        <div
+          style={{
+            padding: '8px 20px',
+            backgroundColor: '#ef4444',
+            color: '#ffffff',
+            fontSize: '14px',
+          }}
+        >
+          {routeLoadErrors.map(({ message }) => (
+            <div key={message}>{message}</div>
+          ))}
+        </div>
+      )}
+
       {/* Content Container */}
       <div
         style={{
@@ -352,7 +951,21 @@ const TemperatureDashboard = () => {
           }}
         >
         <h4 style={{ fontWeight: 'normal', marginBottom: '2px', marginTop: '2px', color: isDarkMode ? '#ffffff' : '#000000' }}>
-        London South Eastern Mainline : <strong>Hungerford Bridge</strong> - <strong>Orpington</strong>
+        {activeRoute ? (
+          activeRoute.from && activeRoute.to ? (
+            <>
+              {activeRoute.name} : <strong>{activeRoute.from}</strong> - <strong>{activeRoute.to}</strong>
+            </>
+          ) : (
+            <strong>{activeRoute.name}</strong>
+          )
+        ) : (
+          activeRouteId === ALL_ROUTES && (
+            <>
+              All routes : <strong>{routes.length}</strong> monitored
+            </>
+          )
+        )}
         </h4>
         
           {/* Map Section */}
@@ -367,44 +980,226 @@ const TemperatureDashboard = () => {
           >
             {mapBounds && (
               <MapContainer
-                center={mapCenter}
-                bounds={mapBounds}
+                center={mapView ? mapView.center : mapBounds.getCenter()}
+                zoom={mapView ? mapView.zoom : undefined}
+                bounds={mapView ? undefined : mapBounds}
+                ref={mapRef}
                 style={{ height: '100%', width: '100%' }}
                 zoomControl={true}
               >
                 {/* Tile layer changes based on dark mode */}
+                {/* Requested with CORS so the service worker can cache usable copies */}
                 <TileLayer
-                  url={
-                    isDarkMode
-                      ? 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png'
-                      : 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
-                  }
+                  url={isDarkMode ? TILE_LAYERS.dark : TILE_LAYERS.light}
+                  crossOrigin={true}
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                 />
                 {/* Search Control for geocoding */}
                 <SearchControl />
-                {/* Render markers for each data point */}
-                {filteredData.map((point, index) => (
+                {/* Keep the shareable URL in step with the map view */}
+                <MapViewTracker onViewChange={setMapView} />
+                {/* Area filter outline, and drawing a new one */}
+                <AreaSelectLayer
+                  mode={areaDrawMode}
+                  area={selectedArea}
+                  onDraw={(area) => {
+                    setSelectedArea(area);
+                    setAreaDrawMode(null);
+                  }}
+                  onCancel={() => setAreaDrawMode(null)}
+                />
+                {/* Route centre line with chainage markers */}
+                {route && showRoute && <RouteLayer route={route} isDarkMode={isDarkMode} />}
+                {/* Every route's line in its own colour in the overview */}
+                {activeRouteId === ALL_ROUTES &&
+                  showRoute &&
+                  Object.entries(routeGeometries).map(([routeId, geometry]) => (
+                    <RouteLayer
+                      key={routeId}
+                      route={geometry}
+                      color={routeColors[routeId]}
+                      isDarkMode={isDarkMode}
+                    />
+                  ))}
+                {/* Path of the selected run in time order */}
+                {selectedRun !== null && !isComparing && filteredData.length > 1 && (
+                  <Polyline
+                    positions={getRunPath(filteredData)}
+                    pathOptions={{ color: '#60348c', weight: 3, opacity: 0.8 }}
+                  />
+                )}
+                {/* Exceedance markers, clustered or canvas-drawn as volume grows */}
+                {shownLayer === 'markers' && (
+                  <ExceedanceLayer
+                    points={mapData}
+                    severityBands={severityBands}
+                    getPointOpacity={getPointOpacity}
+                    getPointColor={
+                      activeRouteId === ALL_ROUTES
+                        ? (point) => routeColors[point.routeId]
+                        : undefined
+                    }
+                    onSaveAnnotation={handleSavePointAnnotation}
+                    onRemoveAnnotation={handleRemoveAnnotation}
+                  />
+                )}
+                {/* Density of the exceedances, weighted by temperature or count */}
+                {shownLayer === 'heatmap' && (
+                  <HeatmapLayer
+                    points={mapData}
+                    weightBy={heatmapOptions.weightBy}
+                    radius={heatmapOptions.radius}
+                    intensity={heatmapOptions.intensity}
+                  />
+                )}
+                {/* Both sides of the comparison in their own styles */}
+                {shownLayer === 'comparison' && (
+                  <ComparisonLayer rowsA={comparisonRows.a} rowsB={comparisonRows.b} />
+                )}
+                {/* Hotspot circles sized by recurrence */}
+                {shownLayer === 'hotspots' &&
+                  hotspots.map((hotspot) => (
+                    <CircleMarker
+                      key={hotspot.id}
+                      center={[hotspot.latitude, hotspot.longitude]}
+                      radius={Math.min(6 + hotspot.recurrence, 30)}
+                      pathOptions={{
+                        color: getSeverityColor(hotspot.peakSeverity),
+                        fillOpacity: 0.25,
+                        weight: 2,
+                      }}
+                    >
+                      <Tooltip>
+                        {hotspot.positionYards} yards: {hotspot.recurrence} recordings, peak{' '}
+                        {hotspot.peakScore}°C
+                        {getHotspotStatusLabel(hotspot)}
+                      </Tooltip>
+                    </CircleMarker>
+                  ))}
+                {/* Rows of the alert picked in the alerts drawer */}
+                {shownAlert &&
+                  shownAlert.rows.map((row) => (
+                    <CircleMarker
+                      key={`alert-${getRowKey(row)}`}
+                      center={[row.LATITUDE, row.LONGITUDE]}
+                      radius={12}
+                      pathOptions={{ color: '#ef4444', weight: 3, fillOpacity: 0 }}
+                    >
+                      <Tooltip>{shownAlert.message}</Tooltip>
+                    </CircleMarker>
+                  ))}
+                {/* Highlight for the point hovered in the position chart */}
+                {hoveredPoint && (
                   <Marker
-                    key={index}
-                    position={[point.LATITUDE, point.LONGITUDE]}
-                    icon={createCustomIcon(point.severity)}
+                    position={[hoveredPoint.LATITUDE, hoveredPoint.LONGITUDE]}
+                    icon={highlightIcon}
+                    interactive={false}
+                    zIndexOffset={1000}
+                  />
+                )}
+              </MapContainer>
+            )}
+
+            {/* Tools for drawing an area to filter by */}
+            {mapBounds && (
+              <div
+                style={{
+                  position: 'absolute',
+                  top: '10px',
+                  left: '50px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px',
+                  zIndex: 1000,
+                }}
+              >
+                {[
+                  { mode: 'rectangle', label: '▭ Rectangle' },
+                  { mode: 'lasso', label: '➰ Lasso' },
+                ].map((tool) => (
+                  <button
+                    key={tool.mode}
+                    onClick={() => setAreaDrawMode(areaDrawMode === tool.mode ? null : tool.mode)}
+                    title={`Select an area with a ${tool.mode}`}
+                    style={{
+                      padding: '4px 8px',
+                      borderRadius: '4px',
+                      border: `1px solid ${isDarkMode ? '#404040' : '#ddd'}`,
+                      backgroundColor:
+                        areaDrawMode === tool.mode
+                          ? '#60348c'
+                          : isDarkMode
+                            ? '#2d2d2d'
+                            : '#ffffff',
+                      color: areaDrawMode === tool.mode || isDarkMode ? '#ffffff' : '#000000',
+                      cursor: 'pointer',
+                      fontSize: '12px',
+                    }}
                   >
-                    <Popup>
-                      <div>
-                        <strong>Temperature:</strong> {point.SCORE}°C<br />
-                        <strong>Position:</strong> {point.POSITION_YARDS} yards<br />
-                        <strong>Recording:</strong> {point.RECORDING_ID}<br />
-                        <strong>Date:</strong> {point.date}<br />
-                        <strong>Severity:</strong> {point.severity.toUpperCase()}
-                      </div>
-                    </Popup>
-                  </Marker>
+                    {tool.label}
+                  </button>
                 ))}
-              </MapContainer>
+                {areaDrawMode && (
+                  <span
+                    style={{
+                      padding: '4px 8px',
+                      borderRadius: '4px',
+                      backgroundColor: isDarkMode ? 'rgba(0,0,0,0.7)' : 'rgba(255,255,255,0.9)',
+                      color: isDarkMode ? '#ffffff' : '#000000',
+                      fontSize: '12px',
+                    }}
+                  >
+                    Drag on the map to select an area · Esc to cancel
+                  </span>
+                )}
+              </div>
+            )}
+
+            {/* Alert being shown, with a button to clear it */}
+            {shownAlert && (
+              <div
+                style={{
+                  position: 'absolute',
+                  top: '10px',
+                  left: '50%',
+                  transform: 'translateX(-50%)',
+                  padding: '6px 10px',
+                  backgroundColor: isDarkMode ? 'rgba(0,0,0,0.7)' : 'rgba(255,255,255,0.9)',
+                  border: '1px solid #ef4444',
+                  borderRadius: '4px',
+                  fontSize: '12px',
+                  zIndex: 1000,
+                  color: isDarkMode ? '#ffffff' : '#000000',
+                }}
+              >
+                {shownAlert.message}{' '}
+                <button
+                  onClick={() => setShownAlert(null)}
+                  style={{
+                    border: 'none',
+                    background: 'none',
+                    color: 'inherit',
+                    cursor: 'pointer',
+                    fontSize: '12px',
+                  }}
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+
+            {/* Choice of markers, heatmap or hotspot circles */}
+            {mapBounds && !isComparing && (
+              <MapLayerSwitcher
+                layer={mapLayer}
+                onLayerChange={setMapLayer}
+                heatmapOptions={heatmapOptions}
+                onHeatmapOptionsChange={setHeatmapOptions}
+                isDarkMode={isDarkMode}
+              />
             )}
 
-            {/* Map Legend */}
+            {/* Map Legend, for whichever layer is shown */}
             <div
               style={{
                 position: 'absolute',
@@ -420,45 +1215,174 @@ const TemperatureDashboard = () => {
                 color: isDarkMode ? '#ffffff' : '#000000',
               }}
             >
-              <div style={{ marginBottom: '4px' }}>Severity:</div>
-              <div style={{ display: 'flex', gap: '8px' }}>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <div style={{ marginBottom: '4px' }}>
+                {legendTitle}
+              </div>
+              {shownLayer === 'heatmap' ? (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <span>Low</span>
                   <div
                     style={{
-                      width: '8px',
+                      width: '120px',
                       height: '8px',
-                      borderRadius: '50%',
-                      backgroundColor: '#ef4444',
+                      borderRadius: '4px',
+                      background: `linear-gradient(to right, ${HEAT_GRADIENT.map(
+                        ([stop, color]) => `${color} ${stop * 100}%`
+                      ).join(', ')})`,
                     }}
                   ></div>
                   <span>High</span>
                 </div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
-                  <div
-                    style={{
-                      width: '8px',
-                      height: '8px',
-                      borderRadius: '50%',
-                      backgroundColor: '#f59e0b',
-                    }}
-                  ></div>
-                  <span>Medium</span>
-                </div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
-                  <div
-                    style={{
-                      width: '8px',
-                      height: '8px',
-                      borderRadius: '50%',
-                      backgroundColor: '#22c55e',
-                    }}
-                  ></div>
-                  <span>Low</span>
+              ) : (
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  {legendEntries.map((entry) => (
+                    <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                      <div
+                        style={{
+                          width: '8px',
+                          height: '8px',
+                          borderRadius: '50%',
+                          backgroundColor: entry.color,
+                        }}
+                      ></div>
+                      <span>{entry.name}</span>
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
           </div>
 
+          {/* Route geometry and position checks */}
+          {route && (
+            <RouteSummary
+              route={route}
+              rows={classifiedData}
+              showRoute={showRoute}
+              onToggleShowRoute={setShowRoute}
+              showMismatchesOnly={showMismatchesOnly}
+              onToggleShowMismatchesOnly={setShowMismatchesOnly}
+              isDarkMode={isDarkMode}
+            />
+          )}
+
+          {/* Timeline histogram and playback */}
+          <TimelinePlayback
+            allRows={classifiedData}
+            rows={filteredData}
+            dateFrom={dateFrom}
+            dateTo={dateTo}
+            onDateRangeChange={(from, to) => {
+              setDateFrom(from);
+              setDateTo(to);
+            }}
+            playbackTime={playbackTime}
+            onPlaybackTimeChange={setPlaybackTime}
+            fadeOlder={fadeOlder}
+            onFadeOlderChange={setFadeOlder}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* Run Browser */}
+          <RunBrowser
+            runs={runs}
+            selectedRun={selectedRun}
+            onSelectRun={setSelectedRun}
+            severityBands={severityBands}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* A/B comparison of two periods or recordings */}
+          <ComparisonPanel
+            comparison={comparison}
+            onChange={setComparison}
+            runs={runs}
+            result={comparisonResult}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* Temperature vs. Position Chart */}
+          <PositionChart
+            data={filteredData}
+            onHoverPoint={setHoveredPoint}
+            severityBands={severityBands}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* Temperature vs. ambient air, once weather data is imported */}
+          {weatherReadings.length > 0 && (
+            <AmbientChart
+              data={filteredData}
+              onHoverPoint={setHoveredPoint}
+              severityBands={severityBands}
+              isDarkMode={isDarkMode}
+            />
+          )}
+
+          {/* Aggregates of the filtered rows */}
+          <StatisticsPanel rows={filteredData} severityBands={severityBands} isDarkMode={isDarkMode} />
+
+          {/* Top Hotspots */}
+          <HotspotList
+            hotspots={hotspots}
+            showOnMap={mapLayer === 'hotspots'}
+            onToggleShowOnMap={(show) => setMapLayer(show ? 'hotspots' : 'markers')}
+            onSelectHotspot={handleSelectHotspot}
+            getSeverityColor={getSeverityColor}
+            getAnnotation={getHotspotAnnotation}
+            onSaveAnnotation={handleSaveHotspotAnnotation}
+            onRemoveAnnotation={handleRemoveAnnotation}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* Annotation counts, export and import */}
+          <AnnotationsPanel
+            annotations={annotations}
+            onChange={handleAnnotationsChange}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* Live data feed, opened once the routes have loaded */}
+          {routes.length > 0 && (
+            <LiveFeedPanel
+              config={feedConfig}
+              onConfigChange={handleFeedConfigChange}
+              onRows={handleFeedRows}
+              routes={routes}
+              totalRows={data.length}
+              isDarkMode={isDarkMode}
+            />
+          )}
+
+          {/* Save map tiles around the route for use without signal */}
+          <OfflineMapsPanel
+            bounds={defaultBounds}
+            tileUrl={TILE_LAYERS.light}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* CSV Import, adding uploads to the route being shown */}
+          {activeRouteId !== ALL_ROUTES && (
+            <CsvImport onImport={handleImport} isDarkMode={isDarkMode} />
+          )}
+
+          {/* Local weather station readings joined to exceedances by time */}
+          <WeatherImport
+            readings={weatherReadings}
+            onImport={(readings) =>
+              setWeatherReadings((previous) => mergeReadings(previous, readings))
+            }
+            onClear={() => setWeatherReadings([])}
+            station={activeWeatherStation}
+            onStationChange={setWeatherStation}
+            matchedCount={weatherMatchCount}
+            totalCount={weatheredData.length}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* Rows quarantined by validation */}
+          <DataQualityPanel reports={qualityReports} isDarkMode={isDarkMode} />
+
           {/* Filters Section */}
           <div
             style={{
@@ -467,6 +1391,49 @@ const TemperatureDashboard = () => {
               gap: '20px',
             }}
           >
+            {/* Saved filter presets */}
+            <PresetsPanel
+              presetsState={presetsState}
+              onChange={handlePresetsChange}
+              currentView={currentView}
+              onApply={applyView}
+              isDarkMode={isDarkMode}
+            />
+
+            {/* Area drawn on the map, removable like a filter chip */}
+            {selectedArea && (
+              <div>
+                <span
+                  style={{
+                    display: 'inline-flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '4px 10px',
+                    borderRadius: '12px',
+                    backgroundColor: '#60348c',
+                    color: '#ffffff',
+                    fontSize: '12px',
+                  }}
+                >
+                  Map area: {filteredData.length} exceedances inside
+                  <button
+                    onClick={() => setSelectedArea(null)}
+                    title="Remove the area filter"
+                    style={{
+                      border: 'none',
+                      background: 'none',
+                      color: 'inherit',
+                      cursor: 'pointer',
+                      fontSize: '12px',
+                      padding: 0,
+                    }}
+                  >
+                    ✕
+                  </button>
+                </span>
+              </div>
+            )}
+
             {/* Severity Filter */}
             <div>
               <div style={{ marginBottom: '4px', fontSize: '14px', color: isDarkMode ? '#ffffff' : '#000000' }}>Severity:</div>
@@ -485,9 +1452,65 @@ const TemperatureDashboard = () => {
                 }}
               >
                 <option value="all">All Severities</option>
-                <option value="high">High</option>
-                <option value="medium">Medium</option>
-                <option value="low">Low</option>
+                {severityBands.map((band) => (
+                  <option key={band.id} value={band.id}>
+                    {band.name}
+                  </option>
+                ))}
+              </select>
+              {/* Button to edit the severity bands */}
+              <button
+                onClick={() => setIsSeveritySettingsOpen(!isSeveritySettingsOpen)}
+                style={{
+                  padding: '6px 12px',
+                  marginLeft: '10px',
+                  borderRadius: '4px',
+                  border: `1px solid ${isDarkMode ? '#404040' : '#ddd'}`,
+                  backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+                  color: isDarkMode ? '#ffffff' : '#000000',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                }}
+              >
+                Edit Bands
+              </button>
+              {isSeveritySettingsOpen && (
+                <div style={{ marginTop: '10px' }}>
+                  <SeveritySettings
+                    bands={severityBands}
+                    onSave={handleSaveSeverityBands}
+                    onClose={() => setIsSeveritySettingsOpen(false)}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Annotation Status Filter */}
+            <div>
+              <div style={{ marginBottom: '4px', fontSize: '14px', color: isDarkMode ? '#ffffff' : '#000000' }}>Annotation Status:</div>
+              <select
+                value={annotationStatus}
+                onChange={(e) => setAnnotationStatus(e.target.value)}
+                style={{
+                  width: '150px',
+                  padding: '6px',
+                  border: `1px solid ${isDarkMode ? '#404040' : '#ddd'}`,
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+                  color: isDarkMode ? '#ffffff' : '#000000',
+                  cursor: 'pointer',
+                }}
+              >
+                <option value="all">All Exceedances</option>
+                <option value={ANY_ANNOTATION}>Any Annotation</option>
+                <option value={NOT_ANNOTATED}>Not Annotated</option>
+                {ANNOTATION_STATUSES.map((status) => (
+                  <option key={status.id} value={status.id}>
+                    {status.icon} {status.name}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -605,131 +1628,41 @@ const TemperatureDashboard = () => {
             {/* Search Input */}
             <div>
               <div style={{ marginBottom: '4px', fontSize: '14px', color: isDarkMode ? '#ffffff' : '#000000' }}>Search:</div>
-              <input
-                type="text"
-                placeholder="Search records..."
+              <SearchBox
                 value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                style={{
-                  width: '100%',
-                  padding: '8px',
-                  border: `1px solid ${isDarkMode ? '#404040' : '#ddd'}`,
-                  borderRadius: '4px',
-                  fontSize: '14px',
-                  backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
-                  color: isDarkMode ? '#ffffff' : '#000000',
-                }}
+                onChange={setSearchTerm}
+                severityBands={severityBands}
+                isDarkMode={isDarkMode}
               />
             </div>
 
-            {/* Scrollable Table Section */}
-            <div
-              style={{
-                flex: 1,
-                overflowY: 'auto',
-                maxHeight: '70vh',
-                borderTop: `1px solid ${isDarkMode ? '#404040' : '#ddd'}`,
-                paddingTop: '10px',
-              }}
-            >
-              
-              {/* Table Headers */}
-              <div
-                style={{
-                  marginBottom: '10px',
-                  fontSize: '14px',
-                  display: 'grid',
-                  gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr 1fr 1fr',
-                  gap: '10px',
-                  fontWeight: 'bold',
-                  color: isDarkMode ? '#ffffff' : '#000000',
-                }}
-              >
-                {/* Each header is clickable for sorting */}
-                <div onClick={() => handleSort('date')} style={getHeaderStyle('date')}>
-                  Date/Time{getSortArrow('date')}
-                </div>
-                <div
-                  onClick={() => handleSort('RECORDING_ID')}
-                  style={getHeaderStyle('RECORDING_ID')}
-                >
-                  Recording{getSortArrow('RECORDING_ID')}
-                </div>
-                <div
-                  onClick={() => handleSort('POSITION_YARDS')}
-                  style={getHeaderStyle('POSITION_YARDS')}
-                >
-                  Position (yards){getSortArrow('POSITION_YARDS')}
-                </div>
-                <div
-                  onClick={() => handleSort('LATITUDE')}
-                  style={getHeaderStyle('LATITUDE')}
-                >
-                  Latitude{getSortArrow('LATITUDE')}
-                </div>
-                <div
-                  onClick={() => handleSort('LONGITUDE')}
-                  style={getHeaderStyle('LONGITUDE')}
-                >
-                  Longitude{getSortArrow('LONGITUDE')}
-                </div>
-                <div onClick={() => handleSort('SCORE')} style={getHeaderStyle('SCORE')}>
-                  Temp (°C){getSortArrow('SCORE')}
-                </div>
-                <div
-                  onClick={() => handleSort('severity')}
-                  style={getHeaderStyle('severity')}
-                >
-                  Severity{getSortArrow('severity')}
-                </div>
-              </div>
-
-              {/* Table Data */}
-              {getSortedData(filteredData).length === 0 ? (
-                <div style={{ textAlign: 'center', color: isDarkMode ? '#ffffff' : '#000000' }}>
-                  No records found matching the current filters
-                </div>
-              ) : (
-                <div
-                  style={{
-                    display: 'grid',
-                    gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr 1fr 1fr',
-                    gap: '10px',
-                  }}
-                >
-                  {/* Iterate over sorted and filtered data to display rows */}
-                  {getSortedData(filteredData).map((row, index) => (
-                    <React.Fragment key={index}>
-                      <div style={{ fontSize: '12px', color: isDarkMode ? '#ffffff' : '#000000' }}>{row.date}</div>
-                      <div style={{ fontSize: '12px', color: isDarkMode ? '#ffffff' : '#000000' }}>{row.RECORDING_ID}</div>
-                      <div style={{ fontSize: '12px', color: isDarkMode ? '#ffffff' : '#000000' }}>{row.POSITION_YARDS}</div>
-                      <div style={{ fontSize: '12px', color: isDarkMode ? '#ffffff' : '#000000' }}>{row.LATITUDE.toFixed(6)}</div>
-                      <div style={{ fontSize: '12px', color: isDarkMode ? '#ffffff' : '#000000' }}>{row.LONGITUDE.toFixed(6)}</div>
-                      <div style={{ fontSize: '12px', color: isDarkMode ? '#ffffff' : '#000000' }}>{row.SCORE}°C</div>
-                      <div>
-                        {/* Display severity with colored background */}
-                        <span
-                          style={{
-                            padding: '2px 6px',
-                            borderRadius: '8px',
-                            fontSize: '12px',
-                            backgroundColor:
-                              row.severity === 'high'
-                                ? '#FEE2E2'
-                                : row.severity === 'medium'
-                                ? '#FEF3C7'
-                                : '#DCFCE7',
-                            color: '#000000', // Always black
-                          }}
-                        >
-                          {row.severity.toUpperCase()}
-                        </span>
-                      </div>
-                    </React.Fragment>
-                  ))}
-                </div>
-              )}
+            {/* Export the current view, or print a report of it */}
+            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '10px' }}>
+              <ReportButton
+                rows={filteredData}
+                view={currentView}
+                routeLabel={activeRoute ? getRouteLabel(activeRoute) : 'All routes'}
+                routeLines={Object.entries(routeGeometries)
+                  .filter(([routeId]) => activeRouteId === ALL_ROUTES || routeId === activeRouteId)
+                  .map(([routeId, geometry]) => ({
+                    coordinates: geometry.coordinates,
+                    color: routeColors[routeId],
+                  }))}
+                severityBands={severityBands}
+                tileUrl={TILE_LAYERS.light}
+              />
+              <ExportMenu rows={sortedData} severityBands={severityBands} isDarkMode={isDarkMode} />
             </div>
+
+            {/* Windowed Table Section */}
+            <DataTable
+              rows={sortedData}
+              resetKey={tableResetKey}
+              sortConfig={sortConfig}
+              onSort={handleSort}
+              severityBands={severityBands}
+              isDarkMode={isDarkMode}
+            />
           </div>
 
 
@@ -747,6 +1680,21 @@ const TemperatureDashboard = () => {
           >
             <p>&copy; Railway Temperature Exceedance.</p>
           </div>
+
+      {/* Alerts drawer */}
+      {isAlertsOpen && (
+        <AlertsDrawer
+          alerts={alerts}
+          alertStates={alertStates}
+          onChangeAlertStates={handleAlertStatesChange}
+          settings={alertSettings}
+          onChangeSettings={handleAlertSettingsChange}
+          onShowAlert={handleShowAlert}
+          onClose={() => setIsAlertsOpen(false)}
+          severityBands={severityBands}
+          isDarkMode={isDarkMode}
+        />
+      )}
     </div>
   );
 };
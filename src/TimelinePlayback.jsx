@@ -0,0 +1,195 @@
+// TimelinePlayback.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, Brush } from 'recharts';
+import { binByPeriod, toDateTimeLocal } from './timeline';
+
+const TICK_MS = 100;
+// Playback speeds as seconds of data per second of playback
+const SPEEDS = [
+  { label: '1 hour/s', value: 60 * 60 },
+  { label: '6 hours/s', value: 6 * 60 * 60 },
+  { label: '1 day/s', value: 24 * 60 * 60 },
+  { label: '1 week/s', value: 7 * 24 * 60 * 60 },
+];
+
+// Histogram of exceedances over time with a brush for the date filter, and a
+// slider that replays the filtered exceedances onto the map in time order
+const TimelinePlayback = ({
+  allRows,
+  rows,
+  dateFrom,
+  dateTo,
+  onDateRangeChange,
+  playbackTime,
+  onPlaybackTimeChange,
+  fadeOlder,
+  onFadeOlderChange,
+  isDarkMode,
+}) => {
+  const [period, setPeriod] = useState('day');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[2].value);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const controlStyle = {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: `1px solid ${borderColor}`,
+    backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+    color: textColor,
+    cursor: 'pointer',
+    fontSize: '12px',
+  };
+
+  const bins = useMemo(() => binByPeriod(allRows, period), [allRows, period]);
+
+  // Brush handles follow the current date filter
+  const fromTime = dateFrom ? new Date(dateFrom).getTime() : null;
+  const toTime = dateTo ? new Date(dateTo).getTime() : null;
+  const brushStart = fromTime === null ? 0 : Math.max(0, bins.findIndex((bin) => bin.end >= fromTime));
+  const lastBefore = toTime === null ? -1 : bins.map((bin) => bin.start <= toTime).lastIndexOf(true);
+  const brushEnd = lastBefore === -1 ? bins.length - 1 : lastBefore;
+
+  const handleBrushChange = ({ startIndex, endIndex }) => {
+    if (startIndex === 0 && endIndex === bins.length - 1) {
+      onDateRangeChange('', '');
+    } else {
+      onDateRangeChange(
+        toDateTimeLocal(bins[startIndex].start),
+        toDateTimeLocal(bins[endIndex].end)
+      );
+    }
+  };
+
+  // Playback runs over the time span of the filtered rows
+  const times = rows.map((row) => row.UNIX_TIME);
+  const start = times.length > 0 ? times.reduce((a, b) => Math.min(a, b)) : 0;
+  const end = times.length > 0 ? times.reduce((a, b) => Math.max(a, b)) : 0;
+
+  // Advance one tick at a time while playing, stopping at the end
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (playbackTime === null || playbackTime >= end) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(
+      () => onPlaybackTimeChange(Math.min(end, playbackTime + (speed * TICK_MS) / 1000)),
+      TICK_MS
+    );
+    return () => clearTimeout(timer);
+  }, [isPlaying, playbackTime, speed, end, onPlaybackTimeChange]);
+
+  const handlePlayPause = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Start again from the beginning if playback is off or finished
+    if (playbackTime === null || playbackTime >= end) {
+      onPlaybackTimeChange(start);
+    }
+    setIsPlaying(true);
+  };
+
+  const handleStop = () => {
+    setIsPlaying(false);
+    onPlaybackTimeChange(null);
+  };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '4px',
+        }}
+      >
+        <span>Exceedances Over Time:</span>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} style={controlStyle}>
+          <option value="day">Per day</option>
+          <option value="week">Per week</option>
+        </select>
+      </div>
+
+      {/* Histogram with a brush that sets the date filter */}
+      <div style={{ height: '150px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={bins} margin={{ top: 5, right: 20, bottom: 0, left: 0 }}>
+            <XAxis dataKey="label" tick={{ fill: textColor, fontSize: 11 }} />
+            <YAxis allowDecimals={false} tick={{ fill: textColor, fontSize: 11 }} width={40} />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+                color: textColor,
+                fontSize: '12px',
+              }}
+            />
+            <Bar dataKey="count" name="Exceedances" fill="#60348c" isAnimationActive={false} />
+            {bins.length > 1 && (
+              <Brush
+                dataKey="label"
+                height={20}
+                stroke="#60348c"
+                fill={isDarkMode ? '#2d2d2d' : '#ffffff'}
+                startIndex={brushStart}
+                endIndex={brushEnd}
+                onChange={handleBrushChange}
+              />
+            )}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Playback controls */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+        <button onClick={handlePlayPause} disabled={rows.length === 0} style={controlStyle}>
+          {isPlaying ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button onClick={handleStop} disabled={playbackTime === null} style={controlStyle}>
+          ⏹ Stop
+        </button>
+        <input
+          type="range"
+          min={start}
+          max={end}
+          step={60}
+          value={playbackTime === null ? end : playbackTime}
+          onChange={(e) => onPlaybackTimeChange(parseInt(e.target.value))}
+          disabled={rows.length === 0}
+          style={{ flex: 1 }}
+        />
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(parseInt(e.target.value))}
+          style={controlStyle}
+        >
+          {SPEEDS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <label style={{ fontSize: '12px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={fadeOlder}
+            onChange={(e) => onFadeOlderChange(e.target.checked)}
+            style={{ marginRight: '4px' }}
+          />
+          Fade older
+        </label>
+      </div>
+      <div style={{ fontSize: '12px', marginTop: '4px' }}>
+        {playbackTime === null
+          ? 'Showing all filtered exceedances'
+          : `Showing exceedances up to ${new Date(playbackTime * 1000).toLocaleString()}`}
+      </div>
+    </div>
+  );
+};
+
+export default TimelinePlayback;
@@ -0,0 +1,178 @@
+// WeatherImport.jsx
+import React, { useRef, useState } from 'react';
+import {
+  parseWeatherCsv,
+  getStations,
+  ANY_STATION,
+  MAX_WEATHER_GAP_SECONDS,
+} from './weatherData';
+
+// File picker for local weather station CSVs (TIMESTAMP, STATION, AIR_TEMP,
+// SOLAR_RADIATION), with a summary of the readings loaded and how many exceedances
+// found one close enough in time. With several stations, `station` picks the one whose
+// readings are matched.
+const WeatherImport = ({
+  readings,
+  onImport,
+  onClear,
+  station,
+  onStationChange,
+  matchedCount,
+  totalCount,
+  isDarkMode,
+}) => {
+  const fileInputRef = useRef(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [reports, setReports] = useState([]);
+
+  const textColor = isDarkMode ? '#ffffff' : '#000000';
+  const borderColor = isDarkMode ? '#404040' : '#ddd';
+  const stations = getStations(readings);
+  const formatDay = (reading) => new Date(reading.time * 1000).toLocaleDateString();
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    if (files.length === 0) return;
+
+    setIsImporting(true);
+    const nextReports = [];
+    let imported = [];
+    for (const file of files) {
+      try {
+        const { readings: fileReadings, rejected } = await parseWeatherCsv(file);
+        // concat rather than push(...), which fails on files with many readings
+        imported = imported.concat(fileReadings);
+        nextReports.push({
+          fileName: file.name,
+          added: fileReadings.length,
+          rejected: rejected.length,
+        });
+      } catch (error) {
+        console.error('Weather import error:', error);
+        nextReports.push({ fileName: file.name, error: error.message });
+      }
+    }
+    if (imported.length > 0) onImport(imported);
+    setReports(nextReports);
+    setIsImporting(false);
+  };
+
+  const buttonStyle = {
+    padding: '6px 12px',
+    borderRadius: '4px',
+    fontSize: '14px',
+    cursor: isImporting ? 'default' : 'pointer',
+  };
+
+  return (
+    <div style={{ fontSize: '14px', color: textColor }}>
+      <div style={{ marginBottom: '4px' }}>Weather Data:</div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={isImporting}
+          style={{
+            ...buttonStyle,
+            border: 'none',
+            backgroundColor: '#60348c',
+            color: '#ffffff',
+          }}
+        >
+          {isImporting ? 'Importing…' : 'Import Weather CSV'}
+        </button>
+        {readings.length > 0 && (
+          <button
+            onClick={() => {
+              onClear();
+              setReports([]);
+            }}
+            style={{
+              ...buttonStyle,
+              border: `1px solid ${borderColor}`,
+              backgroundColor: 'transparent',
+              color: textColor,
+            }}
+          >
+            Clear
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            // Allow the same file to be picked again
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+        <span style={{ fontSize: '12px' }}>
+          {readings.length > 0
+            ? `${readings.length} readings from ${stations.length} station(s), ` +
+              `${formatDay(readings[0])} to ${formatDay(readings[readings.length - 1])}; ` +
+              `${matchedCount} of ${totalCount} exceedances matched within ` +
+              `${MAX_WEATHER_GAP_SECONDS / 3600} hours`
+            : 'Columns: TIMESTAMP, STATION, AIR_TEMP (°C), SOLAR_RADIATION (W/m²)'}
+        </span>
+      </div>
+
+      {/* Which station's readings are matched, when there are several */}
+      {stations.length > 1 && (
+        <div
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            marginTop: '6px',
+            fontSize: '12px',
+          }}
+        >
+          Match against
+          <select
+            value={station}
+            onChange={(e) => onStationChange(e.target.value)}
+            style={{
+              padding: '4px',
+              border: `1px solid ${borderColor}`,
+              borderRadius: '4px',
+              fontSize: '12px',
+              backgroundColor: isDarkMode ? '#2d2d2d' : '#ffffff',
+              color: textColor,
+            }}
+          >
+            {stations.map((name) => (
+              <option key={name} value={name}>
+                {name || '(unnamed station)'}
+              </option>
+            ))}
+            <option value={ANY_STATION}>Any station, nearest in time</option>
+          </select>
+          <span>
+            Readings are matched by time only, not by location; the station used is shown
+            with each exceedance.
+          </span>
+        </div>
+      )}
+
+      {/* Per-file import summary */}
+      {reports.length > 0 && (
+        <ul style={{ margin: '8px 0 0', paddingLeft: '20px', fontSize: '12px' }}>
+          {reports.map((report, index) => (
+            <li key={index}>
+              <strong>{report.fileName}:</strong>{' '}
+              {report.error ? (
+                <span style={{ color: '#ef4444' }}>{report.error}</span>
+              ) : (
+                `${report.added} readings, ${report.rejected} rejected`
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WeatherImport;
@@ -0,0 +1,297 @@
+// alertRules.js
+import { classifySeverity, getBandName } from './severityBands';
+
+const RULES_STORAGE_KEY = 'alertRules';
+const STATES_STORAGE_KEY = 'alertStates';
+const EXPORT_VERSION = 1;
+
+// Kinds of rule, with the parameters each takes and how it reads in the rule list
+export const RULE_TYPES = {
+  score: {
+    label: 'Temperature threshold',
+    fields: [{ key: 'minScore', label: 'SCORE ≥', type: 'number' }],
+    defaults: { minScore: 75 },
+    describe: ({ minScore }) => `Any SCORE ≥ ${minScore}°C`,
+  },
+  recurrence: {
+    label: 'Recurring section',
+    fields: [
+      { key: 'sectionYards', label: 'Section (yards)', type: 'number' },
+      { key: 'runs', label: 'Runs', type: 'number' },
+      { key: 'withinHours', label: 'Within (hours)', type: 'number' },
+    ],
+    defaults: { sectionYards: 200, runs: 3, withinHours: 48 },
+    describe: ({ sectionYards, runs, withinHours }) =>
+      `Same ${sectionYards}-yard section exceeds on ${runs} runs within ${withinHours} hours`,
+  },
+  dailyCount: {
+    label: 'Daily severity count',
+    fields: [
+      { key: 'severity', label: 'Severity', type: 'severity' },
+      { key: 'maxRows', label: 'More than', type: 'number' },
+    ],
+    defaults: { severity: 'high', maxRows: 5 },
+    describe: ({ severity, maxRows }, severityBands) =>
+      `More than ${maxRows} ${getBandName(severityBands, severity).toLowerCase()} severity rows in a day`,
+  },
+};
+
+const createId = () => `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const DEFAULT_ALERT_SETTINGS = {
+  rules: [
+    { id: 'default-score', type: 'score', enabled: true, params: RULE_TYPES.score.defaults },
+    {
+      id: 'default-recurrence',
+      type: 'recurrence',
+      enabled: true,
+      params: RULE_TYPES.recurrence.defaults,
+    },
+    {
+      id: 'default-daily',
+      type: 'dailyCount',
+      enabled: true,
+      params: RULE_TYPES.dailyCount.defaults,
+    },
+  ],
+  notificationsEnabled: false,
+};
+
+// Check a rule's type and parameters, throwing with a readable message if it is invalid
+const normaliseRule = (rule) => {
+  const type = rule && RULE_TYPES[rule.type];
+  if (!type) throw new Error(`Unknown rule type "${rule && rule.type}"`);
+
+  const params = {};
+  type.fields.forEach((field) => {
+    const value = rule.params ? rule.params[field.key] : undefined;
+    if (field.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${type.label}: ${field.label} must be a number`);
+      }
+      if (field.key !== 'minScore' && value <= 0) {
+        throw new Error(`${type.label}: ${field.label} must be above zero`);
+      }
+    } else if (typeof value !== 'string' || value === '') {
+      throw new Error(`${type.label}: ${field.label} is required`);
+    }
+    params[field.key] = value;
+  });
+
+  return {
+    id: typeof rule.id === 'string' ? rule.id : createId(),
+    type: rule.type,
+    enabled: rule.enabled !== false,
+    params,
+  };
+};
+
+// Returns a list of problems with a set of rules, or an empty array
+export const validateRules = (rules) =>
+  rules.flatMap((rule) => {
+    try {
+      normaliseRule(rule);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  });
+
+export const createRule = (type) =>
+  normaliseRule({ type, enabled: true, params: RULE_TYPES[type].defaults });
+
+// Read saved rules and settings, falling back to the defaults if none are stored.
+// A rule that no longer reads is skipped and the others kept.
+export const loadAlertSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(RULES_STORAGE_KEY));
+    if (stored && Array.isArray(stored.rules)) {
+      return {
+        rules: stored.rules.flatMap((rule) => {
+          try {
+            return [normaliseRule(rule)];
+          } catch (error) {
+            console.error('Skipping unreadable alert rule:', error);
+            return [];
+          }
+        }),
+        notificationsEnabled: stored.notificationsEnabled === true,
+      };
+    }
+  } catch (error) {
+    console.error('Could not read alert rules:', error);
+  }
+  return DEFAULT_ALERT_SETTINGS;
+};
+
+export const saveAlertSettings = (settings) => {
+  window.localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// JSON file of the rules, for sharing between team members
+export const exportAlertRules = ({ rules }) =>
+  JSON.stringify({ version: EXPORT_VERSION, rules }, null, 2);
+
+// Parse an exported rules file; throws with a readable message if it is not one
+export const parseAlertRulesFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!parsed || !Array.isArray(parsed.rules)) {
+    throw new Error('File does not contain a rules list');
+  }
+  // Imported rules get fresh ids so they never clash with existing ones
+  return parsed.rules.map((rule) => ({ ...normaliseRule(rule), id: createId() }));
+};
+
+// Acknowledged, snoozed and notified flags per alert id
+export const loadAlertStates = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STATES_STORAGE_KEY));
+    if (stored && typeof stored === 'object') return stored;
+  } catch (error) {
+    console.error('Could not read alert states:', error);
+  }
+  return {};
+};
+
+export const saveAlertStates = (states) => {
+  window.localStorage.setItem(STATES_STORAGE_KEY, JSON.stringify(states));
+};
+
+// Drop the states of alerts that are no longer raised so storage does not keep growing.
+// States of a disabled rule's alerts are kept for when it is turned back on.
+export const pruneAlertStates = (states, alerts, rules) => {
+  const ids = new Set(alerts.map((alert) => alert.id));
+  const disabledPrefixes = rules.filter((rule) => !rule.enabled).map((rule) => `${rule.id}:`);
+  const kept = Object.entries(states).filter(
+    ([id]) => ids.has(id) || disabledPrefixes.some((prefix) => id.startsWith(prefix))
+  );
+  return kept.length === Object.keys(states).length ? states : Object.fromEntries(kept);
+};
+
+// 'acknowledged', 'snoozed' (until a time in ms) or 'active'
+export const getAlertStatus = (alert, states, now = Date.now()) => {
+  const state = states[alert.id] || {};
+  if (state.acknowledged) return 'acknowledged';
+  if (state.snoozedUntil && state.snoozedUntil > now) return 'snoozed';
+  return 'active';
+};
+
+// Local calendar day of a reading, e.g. 2022-06-17
+const getDayKey = (row) => {
+  const date = new Date(row.UNIX_TIME * 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const groupBy = (rows, getKey) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+const latestTime = (rows) => rows.reduce((max, row) => Math.max(max, row.UNIX_TIME), -Infinity);
+
+// Each evaluator returns the matches of one rule as { key, message, rows }
+const EVALUATORS = {
+  // One alert per recording with readings at or above the threshold
+  score: (rows, { minScore }) => {
+    const recordings = groupBy(
+      rows.filter((row) => row.SCORE >= minScore),
+      (row) => row.RECORDING_ID
+    );
+    return [...recordings].map(([recordingId, matches]) => {
+      const peak = matches.reduce((max, row) => Math.max(max, row.SCORE), -Infinity);
+      return {
+        key: String(recordingId),
+        message: `Recording ${recordingId}: ${matches.length} reading(s) ≥ ${minScore}°C, peak ${peak}°C`,
+        rows: matches,
+      };
+    });
+  },
+
+  // Slide a time window over each section's readings; a window holding enough distinct
+  // runs raises an alert and the search carries on after it. Alerts are keyed by the
+  // withinHours-long period (counted from the epoch) the window starts in, not by its
+  // first reading, so rows added later inside that period keep the alert's id.
+  recurrence: (rows, { sectionYards, runs, withinHours }) => {
+    const windowSeconds = withinHours * 60 * 60;
+    const matches = [];
+    const sections = groupBy(
+      rows,
+      (row) => `${row.routeId || ''}:${Math.floor(row.POSITION_YARDS / sectionYards)}`
+    );
+
+    sections.forEach((sectionRows, sectionKey) => {
+      const sorted = [...sectionRows].sort((a, b) => a.UNIX_TIME - b.UNIX_TIME);
+      const anchorCounts = new Map();
+      let start = 0;
+      while (start < sorted.length) {
+        const windowEnd = sorted[start].UNIX_TIME + windowSeconds;
+        let end = start;
+        while (end + 1 < sorted.length && sorted[end + 1].UNIX_TIME <= windowEnd) end += 1;
+        const windowRows = sorted.slice(start, end + 1);
+        const recordings = new Set(windowRows.map((row) => row.RECORDING_ID));
+
+        if (recordings.size >= runs) {
+          const section = Math.floor(sorted[start].POSITION_YARDS / sectionYards) * sectionYards;
+          // A second window starting in the same period gets a numbered key
+          const anchor = Math.floor(sorted[start].UNIX_TIME / windowSeconds);
+          const count = (anchorCounts.get(anchor) || 0) + 1;
+          anchorCounts.set(anchor, count);
+          matches.push({
+            key: `${sectionKey}:${anchor}${count > 1 ? `.${count}` : ''}`,
+            message: `Yards ${section}–${section + sectionYards}: exceeded on ${recordings.size} runs within ${withinHours} hours`,
+            rows: windowRows,
+          });
+          start = end + 1;
+        } else {
+          start += 1;
+        }
+      }
+    });
+
+    return matches;
+  },
+
+  // Days with more rows of a severity than allowed
+  dailyCount: (rows, { severity, maxRows }, severityBands) => {
+    const days = groupBy(
+      rows.filter((row) => classifySeverity(row.SCORE, severityBands) === severity),
+      getDayKey
+    );
+    const severityName = getBandName(severityBands, severity).toLowerCase();
+    return [...days]
+      .filter(([, matches]) => matches.length > maxRows)
+      .map(([day, matches]) => ({
+        key: day,
+        message: `${day}: ${matches.length} ${severityName} severity rows`,
+        rows: matches,
+      }));
+  },
+};
+
+// Run every enabled rule over the rows, returning alerts newest first. Alert ids are
+// derived from the rule and what matched, so acknowledgements survive re-evaluation.
+export const evaluateRules = (rows, rules, severityBands) =>
+  rules
+    .filter((rule) => rule.enabled)
+    .flatMap((rule) =>
+      EVALUATORS[rule.type](rows, rule.params, severityBands).map((match) => ({
+        id: `${rule.id}:${match.key}`,
+        ruleId: rule.id,
+        ruleDescription: RULE_TYPES[rule.type].describe(rule.params, severityBands),
+        message: match.message,
+        rows: match.rows,
+        time: latestTime(match.rows),
+      }))
+    )
+    .sort((a, b) => b.time - a.time);
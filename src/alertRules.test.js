@@ -0,0 +1,118 @@
+import {
+  evaluateRules,
+  pruneAlertStates,
+  loadAlertSettings,
+  DEFAULT_ALERT_SETTINGS,
+} from './alertRules';
+import { DEFAULT_SEVERITY_BANDS } from './severityBands';
+
+const HOUR = 60 * 60;
+const START = 1655467200;
+
+const recurrence = {
+  id: 'recurring',
+  type: 'recurrence',
+  enabled: true,
+  params: { sectionYards: 200, runs: 3, withinHours: 48 },
+};
+
+const reading = (recordingId, hours, overrides = {}) => ({
+  UNIX_TIME: START + hours * HOUR,
+  RECORDING_ID: recordingId,
+  POSITION_YARDS: 1050,
+  SCORE: 60,
+  ...overrides,
+});
+
+afterEach(() => {
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('raises one alert per recording over the threshold', () => {
+  const rule = { id: 'hot', type: 'score', enabled: true, params: { minScore: 75 } };
+  const alerts = evaluateRules(
+    [reading(1, 0, { SCORE: 80 }), reading(1, 1, { SCORE: 90 }), reading(2, 2)],
+    [rule],
+    DEFAULT_SEVERITY_BANDS
+  );
+  expect(alerts).toHaveLength(1);
+  expect(alerts[0]).toEqual(
+    expect.objectContaining({
+      id: 'hot:1',
+      message: 'Recording 1: 2 reading(s) ≥ 75°C, peak 90°C',
+    })
+  );
+});
+
+test('recurrence alerts keep their id when earlier rows arrive later', () => {
+  const later = [reading(2, 10), reading(3, 20), reading(4, 30)];
+  const [before] = evaluateRules(later, [recurrence], DEFAULT_SEVERITY_BANDS);
+  const [after] = evaluateRules([reading(1, 5), ...later], [recurrence], DEFAULT_SEVERITY_BANDS);
+  expect(after.id).toBe(before.id);
+  expect(after.rows).toHaveLength(4);
+});
+
+test('counts a severity per local day', () => {
+  const rule = {
+    id: 'busy',
+    type: 'dailyCount',
+    enabled: true,
+    params: { severity: 'high', maxRows: 1 },
+  };
+  const hot = { SCORE: 72 };
+  const alerts = evaluateRules(
+    [reading(1, 0, hot), reading(2, 1, hot), reading(3, 2), reading(4, 30, hot)],
+    [rule],
+    DEFAULT_SEVERITY_BANDS
+  );
+  expect(alerts.map((alert) => [alert.id, alert.message])).toEqual([
+    ['busy:2022-06-17', '2022-06-17: 2 high severity rows'],
+  ]);
+});
+
+test('skips disabled rules', () => {
+  const rows = [reading(1, 0), reading(2, 1), reading(3, 2)];
+  expect(evaluateRules(rows, [{ ...recurrence, enabled: false }], DEFAULT_SEVERITY_BANDS)).toEqual(
+    []
+  );
+});
+
+test('pruning drops stale states but keeps those of disabled rules', () => {
+  const states = {
+    'hot:1': { acknowledged: true },
+    'hot:2': { acknowledged: true },
+    'recurring:x': { snoozedUntil: 1 },
+  };
+  const rules = [
+    { id: 'hot', enabled: true },
+    { id: 'recurring', enabled: false },
+  ];
+  expect(pruneAlertStates(states, [{ id: 'hot:1' }], rules)).toEqual({
+    'hot:1': { acknowledged: true },
+    'recurring:x': { snoozedUntil: 1 },
+  });
+  // Unchanged states come back as the same object, so nothing is saved
+  const kept = { 'hot:1': {} };
+  expect(pruneAlertStates(kept, [{ id: 'hot:1' }], rules)).toBe(kept);
+});
+
+test('loading skips an unreadable rule and keeps the rest', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.localStorage.setItem(
+    'alertRules',
+    JSON.stringify({
+      rules: [recurrence, { id: 'broken', type: 'score', params: { minScore: 'hot' } }],
+      notificationsEnabled: true,
+    })
+  );
+  expect(loadAlertSettings()).toEqual({ rules: [recurrence], notificationsEnabled: true });
+  expect(console.error).toHaveBeenCalledTimes(1);
+});
+
+test('loading falls back to the defaults when nothing readable is stored', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadAlertSettings()).toBe(DEFAULT_ALERT_SETTINGS);
+  window.localStorage.setItem('alertRules', '{');
+  expect(loadAlertSettings()).toBe(DEFAULT_ALERT_SETTINGS);
+});
@@ -0,0 +1,236 @@
+// annotations.js
+import { getRowKey } from './csvData';
+import { distanceMetres } from './geo';
+import { LOCATION_TOLERANCE } from './hotspots';
+
+const STORAGE_KEY = 'annotations';
+const EXPORT_VERSION = 1;
+
+// Where a piece of follow-up work stands, in the order it usually moves through
+export const ANNOTATION_STATUSES = [
+  { id: 'new', name: 'New', icon: '🆕' },
+  { id: 'investigating', name: 'Investigating', icon: '🔍' },
+  { id: 'scheduled', name: 'Scheduled', icon: '📅' },
+  { id: 'resolved', name: 'Resolved', icon: '✅' },
+];
+
+// Status filter values besides the statuses themselves
+export const ANY_ANNOTATION = 'any';
+export const NOT_ANNOTATED = 'none';
+
+export const getAnnotationStatus = (statusId) =>
+  ANNOTATION_STATUSES.find((status) => status.id === statusId) || ANNOTATION_STATUSES[0];
+
+const createId = () => `note-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// An annotation is attached either to one exceedance, by its row key, or to a hotspot,
+// by the hotspot's location so it still applies as the filters and the data change
+export const createPointTarget = (row) => ({ type: 'point', rowKey: getRowKey(row) });
+
+export const createHotspotTarget = (hotspot) => ({
+  type: 'hotspot',
+  routeId: hotspot.rows[0].routeId ?? null,
+  positionYards: hotspot.positionYards,
+  latitude: hotspot.latitude,
+  longitude: hotspot.longitude,
+});
+
+const getTargetKey = (target) =>
+  target.type === 'point'
+    ? `point:${target.rowKey}`
+    : `hotspot:${target.routeId}:${target.positionYards}:${target.latitude.toFixed(5)}:${target.longitude.toFixed(5)}`;
+
+const normaliseTarget = (target) => {
+  if (target && target.type === 'point' && typeof target.rowKey === 'string') {
+    return { type: 'point', rowKey: target.rowKey };
+  }
+  if (
+    target &&
+    target.type === 'hotspot' &&
+    [target.positionYards, target.latitude, target.longitude].every(Number.isFinite)
+  ) {
+    return {
+      type: 'hotspot',
+      routeId: typeof target.routeId === 'string' ? target.routeId : null,
+      positionYards: target.positionYards,
+      latitude: target.latitude,
+      longitude: target.longitude,
+    };
+  }
+  throw new Error('Every annotation needs an exceedance or hotspot it belongs to');
+};
+
+const normaliseAnnotation = (annotation) => {
+  if (!annotation || typeof annotation !== 'object') {
+    throw new Error('Annotations must be objects');
+  }
+  if (!ANNOTATION_STATUSES.some((status) => status.id === annotation.status)) {
+    throw new Error(`Unknown annotation status "${annotation.status}"`);
+  }
+  if (annotation.dueDate && !isDateString(annotation.dueDate)) {
+    throw new Error(`Due date "${annotation.dueDate}" is not in YYYY-MM-DD form`);
+  }
+  return {
+    id: typeof annotation.id === 'string' ? annotation.id : createId(),
+    target: normaliseTarget(annotation.target),
+    status: annotation.status,
+    notes: typeof annotation.notes === 'string' ? annotation.notes : '',
+    assignee: typeof annotation.assignee === 'string' ? annotation.assignee.trim() : '',
+    dueDate: annotation.dueDate || '',
+    updatedAt: Number.isFinite(annotation.updatedAt) ? annotation.updatedAt : Date.now(),
+  };
+};
+
+// Read saved annotations, falling back to none if storage is empty or unreadable.
+// Annotations that no longer read are skipped and the rest kept.
+export const loadAnnotations = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) {
+      return stored.flatMap((annotation) => {
+        try {
+          return [normaliseAnnotation(annotation)];
+        } catch (error) {
+          console.error('Skipping unreadable annotation:', error);
+          return [];
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Could not read annotations:', error);
+  }
+  return [];
+};
+
+export const saveAnnotations = (annotations) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(annotations));
+};
+
+// Replace `existing` (or add, if null) with an annotation on `target` holding the edited
+// status, notes, assignee and due date
+const putAnnotation = (annotations, existing, target, fields) => {
+  const annotation = normaliseAnnotation({
+    ...fields,
+    id: existing ? existing.id : undefined,
+    target,
+    updatedAt: Date.now(),
+  });
+  return existing
+    ? annotations.map((candidate) => (candidate.id === existing.id ? annotation : candidate))
+    : [...annotations, annotation];
+};
+
+// Add or update the annotation on a target
+export const setAnnotation = (annotations, target, fields) => {
+  const key = getTargetKey(target);
+  const existing = annotations.find((annotation) => getTargetKey(annotation.target) === key);
+  return putAnnotation(annotations, existing || null, target, fields);
+};
+
+export const removeAnnotation = (annotations, id) =>
+  annotations.filter((annotation) => annotation.id !== id);
+
+const isNearHotspotTarget = (target, routeId, [latitude, longitude], positionYards) =>
+  target.routeId === (routeId ?? null) &&
+  Math.abs(positionYards - target.positionYards) <= LOCATION_TOLERANCE.toleranceYards &&
+  distanceMetres([latitude, longitude], [target.latitude, target.longitude]) <=
+    LOCATION_TOLERANCE.toleranceMetres;
+
+// Returns row => annotation | null. A row's own annotation wins over one on a hotspot
+// it falls within; hotspot annotations cover rows as close as findHotspots groups them.
+export const createAnnotationLookup = (annotations) => {
+  const byRowKey = new Map(
+    annotations
+      .filter((annotation) => annotation.target.type === 'point')
+      .map((annotation) => [annotation.target.rowKey, annotation])
+  );
+  const hotspotAnnotations = annotations.filter(
+    (annotation) => annotation.target.type === 'hotspot'
+  );
+
+  return (row) =>
+    byRowKey.get(getRowKey(row)) ||
+    hotspotAnnotations.find((annotation) =>
+      isNearHotspotTarget(
+        annotation.target,
+        row.routeId,
+        [row.LATITUDE, row.LONGITUDE],
+        row.POSITION_YARDS
+      )
+    ) ||
+    null;
+};
+
+// Annotation saved against a hotspot at (or within tolerance of) this hotspot's location
+export const findHotspotAnnotation = (annotations, hotspot) =>
+  annotations.find(
+    (annotation) =>
+      annotation.target.type === 'hotspot' &&
+      isNearHotspotTarget(
+        annotation.target,
+        hotspot.rows[0].routeId,
+        [hotspot.latitude, hotspot.longitude],
+        hotspot.positionYards
+      )
+  ) || null;
+
+// Add or update a hotspot's annotation. The existing one is found within tolerance, as
+// it is shown, since the hotspot's centre moves as filters and data change; its target
+// moves to the current centre.
+export const setHotspotAnnotation = (annotations, hotspot, fields) =>
+  putAnnotation(
+    annotations,
+    findHotspotAnnotation(annotations, hotspot),
+    createHotspotTarget(hotspot),
+    fields
+  );
+
+// Whether an annotated row passes the status filter
+export const matchesAnnotationStatus = (row, statusFilter) => {
+  if (statusFilter === 'all') return true;
+  if (statusFilter === NOT_ANNOTATED) return !row.annotation;
+  if (statusFilter === ANY_ANNOTATION) return Boolean(row.annotation);
+  return Boolean(row.annotation) && row.annotation.status === statusFilter;
+};
+
+// Sort order for the table: unannotated rows, then statuses in workflow order
+export const getAnnotationRank = (row) =>
+  row.annotation
+    ? ANNOTATION_STATUSES.findIndex((status) => status.id === row.annotation.status)
+    : -1;
+
+// JSON file shared between team members
+export const exportAnnotations = (annotations) =>
+  JSON.stringify({ version: EXPORT_VERSION, annotations }, null, 2);
+
+// Parse an exported annotations file; throws with a readable message if it is not one
+export const parseAnnotationsFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!parsed || !Array.isArray(parsed.annotations)) {
+    throw new Error('File does not contain an annotations list');
+  }
+  return parsed.annotations.map(normaliseAnnotation);
+};
+
+// Add imported annotations; where both have one for the same target, the most
+// recently updated is kept
+export const mergeAnnotations = (annotations, imported) =>
+  imported.reduce((merged, annotation) => {
+    const key = getTargetKey(annotation.target);
+    const existing = merged.find((candidate) => getTargetKey(candidate.target) === key);
+    if (!existing) {
+      const ids = new Set(merged.map((candidate) => candidate.id));
+      return [...merged, ids.has(annotation.id) ? { ...annotation, id: createId() } : annotation];
+    }
+    if (annotation.updatedAt <= existing.updatedAt) return merged;
+    return merged.map((candidate) =>
+      candidate.id === existing.id ? { ...annotation, id: existing.id } : candidate
+    );
+  }, annotations);
@@ -0,0 +1,102 @@
+import {
+  createPointTarget,
+  setAnnotation,
+  setHotspotAnnotation,
+  findHotspotAnnotation,
+  createAnnotationLookup,
+  mergeAnnotations,
+  loadAnnotations,
+} from './annotations';
+
+const reading = (yards, latitude, overrides = {}) => ({
+  UNIX_TIME: 1655467200,
+  ASSET_NAME: 'Up Main',
+  RECORDING_ID: 12,
+  POSITION_YARDS: yards,
+  LATITUDE: latitude,
+  LONGITUDE: -0.1,
+  SCORE: 62,
+  routeId: 'up-main',
+  ...overrides,
+});
+
+// A hotspot as findHotspots returns it, centred on its rows
+const hotspotOf = (rows) => ({
+  positionYards: Math.round(rows.reduce((sum, row) => sum + row.POSITION_YARDS, 0) / rows.length),
+  latitude: rows.reduce((sum, row) => sum + row.LATITUDE, 0) / rows.length,
+  longitude: -0.1,
+  rows,
+});
+
+const fields = (status, notes) => ({ status, notes, assignee: ' Sam ', dueDate: '' });
+
+afterEach(() => {
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('editing a hotspot annotation after its centre moves updates it in place', () => {
+  const rows = [reading(1000, 51.5), reading(1010, 51.50009, { RECORDING_ID: 13 })];
+  const before = setHotspotAnnotation([], hotspotOf(rows), fields('new', 'Check the weld'));
+
+  // A filter change drops a row, moving the centre
+  const moved = hotspotOf(rows.slice(1));
+  const after = setHotspotAnnotation(before, moved, fields('scheduled', 'Grinding booked'));
+
+  expect(after).toHaveLength(1);
+  expect(after[0]).toEqual(
+    expect.objectContaining({
+      id: before[0].id,
+      status: 'scheduled',
+      notes: 'Grinding booked',
+      assignee: 'Sam',
+    })
+  );
+  expect(after[0].target).toEqual(expect.objectContaining({ positionYards: 1010 }));
+  expect(findHotspotAnnotation(after, moved)).toBe(after[0]);
+});
+
+test('hotspot annotations belong to their route', () => {
+  const annotations = setHotspotAnnotation([], hotspotOf([reading(1000, 51.5)]), fields('new', ''));
+  const elsewhere = hotspotOf([reading(1000, 51.5, { routeId: 'down-main' })]);
+  expect(findHotspotAnnotation(annotations, elsewhere)).toBeNull();
+});
+
+test("a row's own annotation wins over its hotspot's", () => {
+  const row = reading(1000, 51.5);
+  const onHotspot = setHotspotAnnotation([], hotspotOf([row]), fields('investigating', ''));
+  const annotations = setAnnotation(onHotspot, createPointTarget(row), fields('resolved', ''));
+  const lookup = createAnnotationLookup(annotations);
+
+  expect(lookup(row).status).toBe('resolved');
+  expect(lookup(reading(1020, 51.50018, { RECORDING_ID: 14 })).status).toBe('investigating');
+  expect(lookup(reading(3000, 51.52))).toBeNull();
+});
+
+test('merging keeps the most recently updated annotation per target', () => {
+  const target = createPointTarget(reading(1000, 51.5));
+  const older = { id: 'a', target, status: 'new', notes: '', assignee: '', dueDate: '' };
+  const local = [{ ...older, updatedAt: 100 }];
+
+  expect(mergeAnnotations(local, [{ ...older, id: 'b', status: 'resolved', updatedAt: 50 }])).toBe(
+    local
+  );
+  expect(
+    mergeAnnotations(local, [{ ...older, id: 'b', status: 'resolved', updatedAt: 200 }])
+  ).toEqual([{ ...older, id: 'a', status: 'resolved', updatedAt: 200 }]);
+});
+
+test('loading skips an unreadable annotation and keeps the rest', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const [annotation] = setAnnotation(
+    [],
+    createPointTarget(reading(1000, 51.5)),
+    fields('new', 'Check')
+  );
+  window.localStorage.setItem(
+    'annotations',
+    JSON.stringify([annotation, { ...annotation, id: 'x', status: 'done' }])
+  );
+  expect(loadAnnotations()).toEqual([annotation]);
+  expect(console.error).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,77 @@
+// comparison.js
+
+// Map styles that tell the two sides apart
+export const COMPARISON_COLORS = { a: '#3b82f6', b: '#f97316' };
+
+export const SECTION_SIZES = [250, 500, 1000, 2000];
+
+// A side is either a date range (whole days, either end optional) or one recording
+export const createSelection = (recordingId = null) => ({
+  type: recordingId === null ? 'dates' : 'recording',
+  from: '',
+  to: '',
+  recordingId,
+});
+
+// Default sides for a first comparison: the two most recent recordings
+export const createDefaultComparison = (runs) => ({
+  a: createSelection(runs.length > 1 ? runs[runs.length - 2].recordingId : null),
+  b: createSelection(runs.length > 0 ? runs[runs.length - 1].recordingId : null),
+  sectionYards: 500,
+});
+
+export const matchesSelection = (row, selection) => {
+  if (selection.type === 'recording') return row.RECORDING_ID === selection.recordingId;
+  const time = row.UNIX_TIME * 1000;
+  if (selection.from && time < new Date(`${selection.from}T00:00:00`).getTime()) return false;
+  if (selection.to && time > new Date(`${selection.to}T23:59:59.999`).getTime()) return false;
+  return true;
+};
+
+export const describeSelection = (selection) => {
+  if (selection.type === 'recording') {
+    return selection.recordingId === null ? 'No recording' : `Recording ${selection.recordingId}`;
+  }
+  if (!selection.from && !selection.to) return 'All dates';
+  return `${selection.from || 'start'} to ${selection.to || 'end'}`;
+};
+
+const summarise = (rows) => ({
+  count: rows.length,
+  peakScore:
+    rows.length > 0 ? rows.reduce((peak, row) => Math.max(peak, row.SCORE), -Infinity) : null,
+});
+
+const getChange = (a, b) => (a === null || b === null ? null : b - a);
+
+// Count and peak SCORE of each side, overall and per `sectionYards` section of track
+// (by POSITION_YARDS); changes are B minus A. Only sections with rows on a side are listed.
+export const compareSelections = (rowsA, rowsB, sectionYards) => {
+  const sections = new Map();
+  const addRows = (rows, side) =>
+    rows.forEach((row) => {
+      const start = Math.floor(row.POSITION_YARDS / sectionYards) * sectionYards;
+      if (!sections.has(start)) sections.set(start, { a: [], b: [] });
+      sections.get(start)[side].push(row);
+    });
+  addRows(rowsA, 'a');
+  addRows(rowsB, 'b');
+
+  const compare = (a, b) => {
+    const summaryA = summarise(a);
+    const summaryB = summarise(b);
+    return {
+      a: summaryA,
+      b: summaryB,
+      countChange: summaryB.count - summaryA.count,
+      peakChange: getChange(summaryA.peakScore, summaryB.peakScore),
+    };
+  };
+
+  return {
+    overall: compare(rowsA, rowsB),
+    sections: [...sections.entries()]
+      .sort(([startA], [startB]) => startA - startB)
+      .map(([start, rows]) => ({ start, end: start + sectionYards, ...compare(rows.a, rows.b) })),
+  };
+};
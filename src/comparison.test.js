@@ -0,0 +1,37 @@
+import { compareSelections, matchesSelection, describeSelection } from './comparison';
+
+const row = (yards, score) => ({ POSITION_YARDS: yards, SCORE: score });
+
+test('compares each side overall and per section', () => {
+  const { overall, sections } = compareSelections(
+    [row(100, 60), row(600, 70)],
+    [row(120, 65), row(130, 55), row(1200, 80)],
+    500
+  );
+  expect(overall).toEqual({
+    a: { count: 2, peakScore: 70 },
+    b: { count: 3, peakScore: 80 },
+    countChange: 1,
+    peakChange: 10,
+  });
+  expect(
+    sections.map(({ start, countChange, peakChange }) => [start, countChange, peakChange])
+  ).toEqual([
+    [0, 1, 5],
+    [500, -1, null],
+    [1000, 1, null],
+  ]);
+});
+
+test('handles selections too large to spread into Math.max', () => {
+  const rows = Array.from({ length: 200000 }, (_, index) => row(index, index % 100));
+  expect(compareSelections(rows, [], 1000000).overall.a.peakScore).toBe(99);
+});
+
+test('date selections include the whole of their last day', () => {
+  const selection = { type: 'dates', from: '2022-06-17', to: '2022-06-17' };
+  const at = (text) => ({ UNIX_TIME: new Date(text).getTime() / 1000 });
+  expect(matchesSelection(at('2022-06-17T23:59:59'), selection)).toBe(true);
+  expect(matchesSelection(at('2022-06-18T00:00:00'), selection)).toBe(false);
+  expect(describeSelection({ ...selection, to: '' })).toBe('2022-06-17 to end');
+});
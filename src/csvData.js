@@ -0,0 +1,96 @@
+// csvData.js
+import Papa from 'papaparse';
+import { EXPECTED_HEADER, validateParsedRows } from './dataValidation';
+
+const PARSE_OPTIONS = {
+  header: true,
+  dynamicTyping: true,
+  // Blank lines are dropped during validation so row indexes match file line numbers
+  skipEmptyLines: false,
+};
+
+// Add the derived date the dashboard displays and filters on; severity is
+// assigned later from the configured severity bands
+export const enrichRow = (row) => ({
+  ...row,
+  date: new Date(row.UNIX_TIME * 1000).toLocaleString(),
+});
+
+// Identity of a reading, used to spot rows that are already loaded
+export const getRowKey = (row) =>
+  EXPECTED_HEADER.filter((field) => field !== 'ASSET_NAME')
+    .map((field) => row[field])
+    .join('|');
+
+// Returns the expected columns missing from a parsed header
+export const getMissingColumns = (fields = []) =>
+  EXPECTED_HEADER.filter((field) => !fields.includes(field));
+
+// Parse CSV text or a File object, resolving with Papa's results
+export const parseCsv = (input) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(input, {
+      ...PARSE_OPTIONS,
+      complete: resolve,
+      error: reject,
+    });
+  });
+
+// Merge rows into an existing dataset, dropping any already present
+export const mergeRows = (existingRows, incomingRows) => {
+  const seen = new Set(existingRows.map(getRowKey));
+  const merged = [...existingRows];
+  let added = 0;
+  let skipped = 0;
+
+  incomingRows.forEach((row) => {
+    const key = getRowKey(row);
+    if (seen.has(key)) {
+      skipped += 1;
+    } else {
+      seen.add(key);
+      merged.push(enrichRow(row));
+      added += 1;
+    }
+  });
+
+  return { rows: merged, added, skipped };
+};
+
+// Parse and validate CSV text or a File, returning usable rows and a data-quality report
+export const loadCsv = async (input, source) => {
+  const results = await parseCsv(input);
+  const missing = getMissingColumns(results.meta.fields);
+
+  if (missing.length > 0) {
+    return {
+      rows: [],
+      quality: {
+        source,
+        checked: results.data.length,
+        rejected: [],
+        error: `Missing column(s): ${missing.join(', ')}`,
+      },
+    };
+  }
+
+  const { valid, rejected } = validateParsedRows(results);
+  return {
+    rows: valid,
+    quality: { source, checked: valid.length + rejected.length, rejected, error: null },
+  };
+};
+
+// Parse and validate an uploaded file, adding `extraFields` (such as the route it
+// belongs to) to each usable row; merging is left to the caller
+export const readCsvFile = async (file, extraFields = {}) => {
+  const { rows, quality } = await loadCsv(file, file.name);
+
+  return {
+    fileName: file.name,
+    rows: rows.map((row) => ({ ...row, ...extraFields })),
+    quality,
+    rejected: quality.error ? quality.checked : quality.rejected.length,
+    error: quality.error,
+  };
+};
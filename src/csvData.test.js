@@ -0,0 +1,61 @@
+import { EXPECTED_HEADER } from './dataValidation';
+import { getRowKey, mergeRows, loadCsv, readCsvFile } from './csvData';
+
+// A row from its values in EXPECTED_HEADER order
+const fromValues = (values) =>
+  Object.fromEntries(EXPECTED_HEADER.map((field, index) => [field, values[index]]));
+
+const first = fromValues([1655467200, 'Up Main', 12, 1500, 51.5, -0.1, 62]);
+const second = fromValues([1655467260, 'Up Main', 12, 1510, 51.5, -0.1, 64]);
+
+test('row keys ignore the asset name', () => {
+  expect(getRowKey(first)).toBe(getRowKey({ ...first, ASSET_NAME: 'Down Main' }));
+  expect(getRowKey(first)).not.toBe(getRowKey({ ...first, SCORE: 63 }));
+});
+
+test('merging skips rows already loaded and repeats within the new rows', () => {
+  const existing = [first];
+  const { rows, added, skipped } = mergeRows(existing, [first, second, { ...second }]);
+  expect(added).toBe(1);
+  expect(skipped).toBe(2);
+  expect(rows).toEqual([first, { ...second, date: expect.any(String) }]);
+  // The existing dataset is left untouched
+  expect(existing).toEqual([first]);
+});
+
+test('reads an uploaded file and tags its rows without merging them', async () => {
+  const file = new File(
+    [`${EXPECTED_HEADER.join(',')}\n1655467200,Up Main,12,1500,51.5,-0.1,62\n`],
+    'run-12.csv'
+  );
+  const result = await readCsvFile(file, { routeId: 'up-main' });
+  expect(result).toEqual(
+    expect.objectContaining({ fileName: 'run-12.csv', rejected: 0, error: null })
+  );
+  expect(result.rows).toEqual([{ ...first, routeId: 'up-main' }]);
+});
+
+test('loading reports missing columns instead of rows', async () => {
+  const { rows, quality } = await loadCsv('UNIX_TIME,SCORE\n1655467200,62\n', 'short.csv');
+  expect(rows).toEqual([]);
+  expect(quality.error).toBe(
+    'Missing column(s): ASSET_NAME, RECORDING_ID, POSITION_YARDS, LATITUDE, LONGITUDE'
+  );
+});
+
+test('loading quarantines bad rows under their line numbers', async () => {
+  const csv = [
+    EXPECTED_HEADER.join(','),
+    '1655467200,Up Main,12,1500,51.5,-0.1,62',
+    '',
+    '1655467260,Up Main,12,1510,0,0,64',
+  ].join('\n');
+  const { rows, quality } = await loadCsv(csv, 'run-12.csv');
+  expect(rows).toEqual([first]);
+  expect(quality).toEqual({
+    source: 'run-12.csv',
+    checked: 2,
+    rejected: [expect.objectContaining({ line: 4, reasons: ['Coordinates are 0,0 (no GPS fix)'] })],
+    error: null,
+  });
+});
@@ -0,0 +1,106 @@
+// dataValidation.js
+
+// Columns every exceedance CSV must provide, in the order the survey export writes them
+export const EXPECTED_HEADER = [
+  'UNIX_TIME',
+  'ASSET_NAME',
+  'RECORDING_ID',
+  'POSITION_YARDS',
+  'LATITUDE',
+  'LONGITUDE',
+  'SCORE',
+];
+
+// Earliest timestamp accepted for a survey run (2000-01-01T00:00:00Z)
+const MIN_UNIX_TIME = 946684800;
+// Allow for clock drift on the recording train
+const MAX_FUTURE_SECONDS = 24 * 60 * 60;
+// Physically plausible rail temperature range in °C
+const MIN_SCORE = -30;
+const MAX_SCORE = 100;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A line with no values at all, e.g. a trailing newline
+export const isEmptyRow = (row) => Object.values(row).every(isBlank);
+
+// Returns the reasons a parsed row cannot be used, or an empty array
+export const validateRow = (row, now = Date.now()) => {
+  const reasons = [];
+
+  EXPECTED_HEADER.forEach((field) => {
+    if (isBlank(row[field])) reasons.push(`${field} is blank`);
+  });
+  if (reasons.length > 0) return reasons;
+
+  if (!Number.isInteger(row.UNIX_TIME)) {
+    reasons.push(`UNIX_TIME "${row.UNIX_TIME}" is not a whole number`);
+  } else if (row.UNIX_TIME < MIN_UNIX_TIME) {
+    reasons.push(`UNIX_TIME ${row.UNIX_TIME} is before 2000`);
+  } else if (row.UNIX_TIME > now / 1000 + MAX_FUTURE_SECONDS) {
+    reasons.push(`UNIX_TIME ${row.UNIX_TIME} is in the future`);
+  }
+
+  if (!Number.isInteger(row.RECORDING_ID) || row.RECORDING_ID <= 0) {
+    reasons.push(`RECORDING_ID "${row.RECORDING_ID}" is not a positive whole number`);
+  }
+
+  if (!isNumber(row.POSITION_YARDS)) {
+    reasons.push(`POSITION_YARDS "${row.POSITION_YARDS}" is not a number`);
+  } else if (row.POSITION_YARDS < 0) {
+    reasons.push(`POSITION_YARDS ${row.POSITION_YARDS} is negative`);
+  }
+
+  if (!isNumber(row.LATITUDE)) {
+    reasons.push(`LATITUDE "${row.LATITUDE}" is not a number`);
+  } else if (row.LATITUDE < -90 || row.LATITUDE > 90) {
+    reasons.push(`LATITUDE ${row.LATITUDE} is outside -90 to 90`);
+  }
+
+  if (!isNumber(row.LONGITUDE)) {
+    reasons.push(`LONGITUDE "${row.LONGITUDE}" is not a number`);
+  } else if (row.LONGITUDE < -180 || row.LONGITUDE > 180) {
+    reasons.push(`LONGITUDE ${row.LONGITUDE} is outside -180 to 180`);
+  }
+
+  if (row.LATITUDE === 0 && row.LONGITUDE === 0) {
+    reasons.push('Coordinates are 0,0 (no GPS fix)');
+  }
+
+  if (!isNumber(row.SCORE)) {
+    reasons.push(`SCORE "${row.SCORE}" is not a number`);
+  } else if (row.SCORE < MIN_SCORE || row.SCORE > MAX_SCORE) {
+    reasons.push(`SCORE ${row.SCORE}°C is outside the plausible ${MIN_SCORE} to ${MAX_SCORE}°C range`);
+  }
+
+  return reasons;
+};
+
+// Split Papa.parse results into valid rows and quarantined rows with line numbers
+export const validateParsedRows = (results, now = Date.now()) => {
+  const parseErrors = {};
+  results.errors
+    .filter((error) => error.row !== undefined)
+    .forEach((error) => {
+      parseErrors[error.row] = [...(parseErrors[error.row] || []), error.message];
+    });
+
+  const valid = [];
+  const rejected = [];
+
+  results.data.forEach((row, index) => {
+    if (isEmptyRow(row)) return;
+
+    const reasons = parseErrors[index] || validateRow(row, now);
+    if (reasons.length > 0) {
+      // Line 1 is the header, so the first data row is line 2
+      rejected.push({ line: index + 2, reasons, row });
+    } else {
+      valid.push(row);
+    }
+  });
+
+  return { valid, rejected };
+};
@@ -0,0 +1,57 @@
+import { validateRow, validateParsedRows } from './dataValidation';
+
+const NOW = Date.UTC(2022, 5, 17, 12);
+
+const reading = {
+  UNIX_TIME: 1655467200,
+  ASSET_NAME: 'Up Main',
+  RECORDING_ID: 12,
+  POSITION_YARDS: 1500,
+  LATITUDE: 51.5,
+  LONGITUDE: -0.1,
+  SCORE: 62,
+};
+
+test('accepts a well-formed row', () => {
+  expect(validateRow(reading, NOW)).toEqual([]);
+});
+
+test('reports only blank fields when any are blank', () => {
+  expect(validateRow({ ...reading, SCORE: null, LATITUDE: 200 }, NOW)).toEqual(['SCORE is blank']);
+});
+
+test('allows a day of clock drift but no more', () => {
+  const nowSeconds = NOW / 1000;
+  expect(validateRow({ ...reading, UNIX_TIME: nowSeconds + 23 * 60 * 60 }, NOW)).toEqual([]);
+  expect(validateRow({ ...reading, UNIX_TIME: nowSeconds + 25 * 60 * 60 }, NOW)).toEqual([
+    `UNIX_TIME ${nowSeconds + 25 * 60 * 60} is in the future`,
+  ]);
+});
+
+test('rejects out-of-range values and missing GPS fixes', () => {
+  expect(
+    validateRow(
+      { ...reading, RECORDING_ID: 0, POSITION_YARDS: -1, LATITUDE: 0, LONGITUDE: 0, SCORE: 120 },
+      NOW
+    )
+  ).toEqual([
+    'RECORDING_ID "0" is not a positive whole number',
+    'POSITION_YARDS -1 is negative',
+    'Coordinates are 0,0 (no GPS fix)',
+    'SCORE 120°C is outside the plausible -30 to 100°C range',
+  ]);
+});
+
+test('numbers rejected rows by their line in the file, past blank lines', () => {
+  const results = {
+    data: [reading, { UNIX_TIME: null }, { ...reading, SCORE: 'hot' }, { ...reading, SCORE: 70 }],
+    errors: [{ row: 3, message: 'Too few fields' }],
+  };
+  expect(validateParsedRows(results, NOW)).toEqual({
+    valid: [reading],
+    rejected: [
+      { line: 4, reasons: ['SCORE "hot" is not a number'], row: results.data[2] },
+      { line: 5, reasons: ['Too few fields'], row: results.data[3] },
+    ],
+  });
+});
@@ -0,0 +1,126 @@
+// exporters.js
+import Papa from 'papaparse';
+import { getBand } from './severityBands';
+
+const EXPORT_COLUMNS = [
+  'UNIX_TIME',
+  'ISO_DATE',
+  'ASSET_NAME',
+  'RECORDING_ID',
+  'POSITION_YARDS',
+  'LATITUDE',
+  'LONGITUDE',
+  'SCORE',
+  'SEVERITY',
+];
+
+// Flatten a row to the exported fields, with an ISO date and the severity band name
+const toExportRow = (row, severityBands) => {
+  const band = getBand(severityBands, row.severity);
+  return {
+    UNIX_TIME: row.UNIX_TIME,
+    ISO_DATE: new Date(row.UNIX_TIME * 1000).toISOString(),
+    ASSET_NAME: row.ASSET_NAME,
+    RECORDING_ID: row.RECORDING_ID,
+    POSITION_YARDS: row.POSITION_YARDS,
+    LATITUDE: row.LATITUDE,
+    LONGITUDE: row.LONGITUDE,
+    SCORE: row.SCORE,
+    SEVERITY: band ? band.name : row.severity,
+  };
+};
+
+export const toCsv = (rows, severityBands) =>
+  Papa.unparse(
+    rows.map((row) => toExportRow(row, severityBands)),
+    { columns: EXPORT_COLUMNS }
+  );
+
+export const toGeoJson = (rows, severityBands) =>
+  JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      features: rows.map((row) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [row.LONGITUDE, row.LATITUDE] },
+        properties: toExportRow(row, severityBands),
+      })),
+    },
+    null,
+    2
+  );
+
+export const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// KML colours are aabbggrr rather than #rrggbb
+const toKmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+
+export const toKml = (rows, severityBands) => {
+  const styles = severityBands
+    .map(
+      (band) => `    <Style id="severity-${escapeXml(band.id)}">
+      <IconStyle>
+        <color>${toKmlColor(band.color)}</color>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`
+    )
+    .join('\n');
+
+  const placemarks = rows
+    .map((row) => {
+      const fields = toExportRow(row, severityBands);
+      const data = EXPORT_COLUMNS.map(
+        (column) =>
+          `        <Data name="${column}"><value>${escapeXml(fields[column])}</value></Data>`
+      ).join('\n');
+      return `    <Placemark>
+      <name>${escapeXml(`${row.SCORE}°C at ${row.POSITION_YARDS} yards`)}</name>
+      <description>${escapeXml(`Recording ${row.RECORDING_ID}, ${fields.ISO_DATE}, ${fields.SEVERITY}`)}</description>
+      <TimeStamp><when>${fields.ISO_DATE}</when></TimeStamp>
+      <styleUrl>#severity-${escapeXml(row.severity)}</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${row.LONGITUDE},${row.LATITUDE},0</coordinates></Point>
+    </Placemark>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Railway Temperature Exceedances</name>
+${styles}
+${placemarks}
+  </Document>
+</kml>
+`;
+};
+
+// Timestamp for export file names, e.g. 20220617-1430
+export const getFileStamp = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(
+    now.getHours()
+  )}${pad(now.getMinutes())}`;
+};
+
+// Trigger a browser download of generated text
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,43 @@
+import { toCsv, toGeoJson, toKml, escapeXml } from './exporters';
+import { DEFAULT_SEVERITY_BANDS } from './severityBands';
+
+const row = {
+  UNIX_TIME: 1655467200,
+  ASSET_NAME: 'Up Main, "fast"',
+  RECORDING_ID: 12,
+  POSITION_YARDS: 1500,
+  LATITUDE: 51.5,
+  LONGITUDE: -0.1,
+  SCORE: 72,
+  severity: 'high',
+  date: '17/06/2022, 13:00:00',
+};
+
+test('CSV has the export columns, an ISO date and the band name', () => {
+  expect(toCsv([row], DEFAULT_SEVERITY_BANDS).split('\r\n')).toEqual([
+    'UNIX_TIME,ISO_DATE,ASSET_NAME,RECORDING_ID,POSITION_YARDS,LATITUDE,LONGITUDE,SCORE,SEVERITY',
+    '1655467200,2022-06-17T12:00:00.000Z,"Up Main, ""fast""",12,1500,51.5,-0.1,72,High',
+  ]);
+});
+
+test('GeoJSON points are longitude first', () => {
+  const [feature] = JSON.parse(toGeoJson([row], DEFAULT_SEVERITY_BANDS)).features;
+  expect(feature.geometry).toEqual({ type: 'Point', coordinates: [-0.1, 51.5] });
+  expect(feature.properties).toEqual(expect.objectContaining({ SCORE: 72, SEVERITY: 'High' }));
+  // Display-only fields are left out
+  expect(feature.properties.date).toBeUndefined();
+});
+
+test('KML escapes values and colours each band as aabbggrr', () => {
+  const kml = toKml([row], DEFAULT_SEVERITY_BANDS);
+  expect(kml).toContain('<color>ff4444ef</color>');
+  expect(kml).toContain('<styleUrl>#severity-high</styleUrl>');
+  expect(kml).toContain('<value>Up Main, &quot;fast&quot;</value>');
+  expect(kml).toContain('<coordinates>-0.1,51.5,0</coordinates>');
+});
+
+test('escapes every XML special character', () => {
+  expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+    '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+  );
+});
@@ -0,0 +1,44 @@
+// geo.js
+
+const EARTH_RADIUS_METRES = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in metres between two [lat, lng] points
+export const distanceMetres = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METRES * Math.asin(Math.sqrt(a));
+};
+
+// Bounding box of exceedance rows as [[south, west], [north, east]]
+export const getBounds = (rows) =>
+  rows.reduce(
+    ([[south, west], [north, east]], row) => [
+      [Math.min(south, row.LATITUDE), Math.min(west, row.LONGITUDE)],
+      [Math.max(north, row.LATITUDE), Math.max(east, row.LONGITUDE)],
+    ],
+    [
+      [Infinity, Infinity],
+      [-Infinity, -Infinity],
+    ]
+  );
+
+// Whether a [lat, lng] point lies inside a polygon of [lat, lng] vertices (ray casting,
+// treating coordinates as planar, which is close enough at the scale of a route)
+export const isInPolygon = ([lat, lng], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    // Count crossings of the edge by a ray running east from the point
+    const crossesLatitude = (latI > lat) !== (latJ > lat);
+    if (crossesLatitude && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
@@ -0,0 +1,126 @@
+// heatmap.js
+import L from 'leaflet';
+
+// Colour ramp from sparse or cool (first stop) to dense or hot (last stop)
+export const HEAT_GRADIENT = [
+  [0.2, '#3b82f6'],
+  [0.4, '#22c55e'],
+  [0.6, '#eab308'],
+  [0.8, '#f97316'],
+  [1, '#ef4444'],
+];
+
+export const DEFAULT_HEATMAP_OPTIONS = {
+  // 'score' weights each point by its temperature, 'count' weights every point equally
+  weightBy: 'score',
+  radius: 25,
+  intensity: 0.4,
+};
+
+// The gradient as 256 RGBA entries, indexed by the alpha a pixel has built up
+const createPalette = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+  HEAT_GRADIENT.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 1, 256);
+  return ctx.getImageData(0, 0, 1, 256).data;
+};
+
+// A soft black dot, drawn once and stamped for every point. The dot is drawn off-canvas
+// so only its blurred shadow lands inside.
+const createStamp = (radius) => {
+  const blur = radius / 2;
+  const size = radius + blur;
+  const canvas = document.createElement('canvas');
+  canvas.width = size * 2;
+  canvas.height = size * 2;
+  const ctx = canvas.getContext('2d');
+  ctx.shadowOffsetX = size * 2;
+  ctx.shadowOffsetY = size * 2;
+  ctx.shadowBlur = blur;
+  ctx.shadowColor = 'black';
+  ctx.beginPath();
+  ctx.arc(-size, -size, radius, 0, Math.PI * 2);
+  ctx.fill();
+  return { canvas, size };
+};
+
+// Weight in 0..1 for each row: its temperature within the range shown, or 1 for counts
+export const getHeatWeights = (rows, weightBy) => {
+  if (weightBy === 'count' || rows.length === 0) return rows.map(() => 1);
+  const scores = rows.map((row) => row.SCORE);
+  const min = scores.reduce((lowest, score) => Math.min(lowest, score), Infinity);
+  const max = scores.reduce((highest, score) => Math.max(highest, score), -Infinity);
+  // Keep the coolest point faintly visible rather than dropping it
+  return scores.map((score) => (max === min ? 1 : 0.2 + (0.8 * (score - min)) / (max - min)));
+};
+
+// Canvas layer that accumulates a soft dot per point and colours the result with
+// HEAT_GRADIENT. Redrawn after every pan or zoom; hidden during zoom animations.
+const HeatLayer = L.Layer.extend({
+  initialize(options) {
+    L.setOptions(this, { ...DEFAULT_HEATMAP_OPTIONS, ...options });
+    this._points = [];
+    this._palette = null;
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide');
+    this._canvas.style.pointerEvents = 'none';
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on('moveend resize', this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this._redraw, this);
+    L.DomUtil.remove(this._canvas);
+  },
+
+  // points: [{ latitude, longitude, weight }] with weight in 0..1
+  setData(points, options) {
+    this._points = points;
+    L.setOptions(this, options);
+    if (this._map) this._redraw();
+  },
+
+  _redraw() {
+    const map = this._map;
+    const size = map.getSize();
+    const canvas = this._canvas;
+    canvas.width = size.x;
+    canvas.height = size.y;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    if (size.x === 0 || size.y === 0) return;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const stamp = createStamp(this.options.radius);
+    const padded = map.getBounds().pad(0.1);
+    this._points.forEach((point) => {
+      if (!padded.contains([point.latitude, point.longitude])) return;
+      const { x, y } = map.latLngToContainerPoint([point.latitude, point.longitude]);
+      ctx.globalAlpha = Math.min(1, point.weight * this.options.intensity);
+      ctx.drawImage(stamp.canvas, x - stamp.size, y - stamp.size);
+    });
+
+    // Replace each pixel's black with the gradient colour for its accumulated alpha
+    if (!this._palette) this._palette = createPalette();
+    const image = ctx.getImageData(0, 0, size.x, size.y);
+    const pixels = image.data;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const offset = pixels[i + 3] * 4;
+      if (offset) {
+        pixels[i] = this._palette[offset];
+        pixels[i + 1] = this._palette[offset + 1];
+        pixels[i + 2] = this._palette[offset + 2];
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+  },
+});
+
+export const createHeatLayer = (options) => new HeatLayer(options);
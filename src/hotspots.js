@@ -0,0 +1,84 @@
+// hotspots.js
+import { distanceMetres } from './geo';
+
+// Exceedances this close along the track and on the ground count as the same location
+export const LOCATION_TOLERANCE = {
+  toleranceYards: 50,
+  toleranceMetres: 60,
+};
+
+const DEFAULT_OPTIONS = {
+  ...LOCATION_TOLERANCE,
+  minRecurrence: 2,
+};
+
+// Running centroid of a cluster as rows are added
+const addToCluster = (cluster, row) => {
+  const count = cluster.rows.length + 1;
+  cluster.positionYards += (row.POSITION_YARDS - cluster.positionYards) / count;
+  cluster.latitude += (row.LATITUDE - cluster.latitude) / count;
+  cluster.longitude += (row.LONGITUDE - cluster.longitude) / count;
+  cluster.rows.push(row);
+};
+
+// Group exceedances that repeat at the same track location across recordings
+export const findHotspots = (rows, options = {}) => {
+  const { toleranceYards, toleranceMetres, minRecurrence } = { ...DEFAULT_OPTIONS, ...options };
+  const sorted = [...rows].sort((a, b) => a.POSITION_YARDS - b.POSITION_YARDS);
+  const clusters = [];
+
+  sorted.forEach((row) => {
+    // Rows are in yardage order, so only the most recent clusters can be close enough
+    let match = null;
+    for (let i = clusters.length - 1; i >= 0; i -= 1) {
+      const cluster = clusters[i];
+      if (row.POSITION_YARDS - cluster.positionYards > toleranceYards * 2) break;
+      if (
+        Math.abs(row.POSITION_YARDS - cluster.positionYards) <= toleranceYards &&
+        distanceMetres(
+          [row.LATITUDE, row.LONGITUDE],
+          [cluster.latitude, cluster.longitude]
+        ) <= toleranceMetres
+      ) {
+        match = cluster;
+        break;
+      }
+    }
+
+    if (match) {
+      addToCluster(match, row);
+    } else {
+      clusters.push({
+        positionYards: row.POSITION_YARDS,
+        latitude: row.LATITUDE,
+        longitude: row.LONGITUDE,
+        rows: [row],
+      });
+    }
+  });
+
+  return clusters
+    .map((cluster) => {
+      const recordings = new Set(cluster.rows.map((row) => row.RECORDING_ID));
+      const peakRow = cluster.rows.reduce((peak, row) => (row.SCORE > peak.SCORE ? row : peak));
+      return {
+        id: `${Math.round(cluster.positionYards)}-${cluster.latitude.toFixed(5)}-${cluster.longitude.toFixed(5)}`,
+        positionYards: Math.round(cluster.positionYards),
+        latitude: cluster.latitude,
+        longitude: cluster.longitude,
+        recurrence: recordings.size,
+        count: cluster.rows.length,
+        peakScore: peakRow.SCORE,
+        peakSeverity: peakRow.severity,
+        latestTime: cluster.rows.reduce((latest, row) => Math.max(latest, row.UNIX_TIME), -Infinity),
+        rows: cluster.rows,
+      };
+    })
+    .filter((hotspot) => hotspot.recurrence >= minRecurrence)
+    .sort(
+      (a, b) =>
+        b.recurrence - a.recurrence ||
+        b.peakScore - a.peakScore ||
+        b.latestTime - a.latestTime
+    );
+};
@@ -0,0 +1,58 @@
+import { findHotspots } from './hotspots';
+
+const exceedance = (recordingId, yards, score, time = 1655467200) => ({
+  UNIX_TIME: time,
+  RECORDING_ID: recordingId,
+  POSITION_YARDS: yards,
+  // About a yard of latitude per yard of track
+  LATITUDE: 51.5 + yards * 0.0000082,
+  LONGITUDE: -0.1,
+  SCORE: score,
+  severity: score >= 70 ? 'high' : 'medium',
+});
+
+test('clusters repeat exceedances at the same location across recordings', () => {
+  const hotspots = findHotspots([
+    exceedance(1, 1000, 60),
+    exceedance(2, 1020, 72, 1655470800),
+    exceedance(3, 990, 65),
+    exceedance(1, 3000, 80),
+    exceedance(2, 3030, 58),
+    // Only ever seen on one run
+    exceedance(4, 5000, 90),
+    exceedance(4, 5010, 91),
+  ]);
+  expect(
+    hotspots.map(({ positionYards, recurrence, count, peakScore }) => [
+      positionYards,
+      recurrence,
+      count,
+      peakScore,
+    ])
+  ).toEqual([
+    [1003, 3, 3, 72],
+    [3015, 2, 2, 80],
+  ]);
+  expect(hotspots[0]).toEqual(
+    expect.objectContaining({ peakSeverity: 'high', latestTime: 1655470800 })
+  );
+});
+
+test('keeps apart exceedances at the same yardage but a different place', () => {
+  const elsewhere = { ...exceedance(2, 1000, 60), LONGITUDE: -0.11 };
+  expect(findHotspots([exceedance(1, 1000, 60), elsewhere])).toEqual([]);
+});
+
+test('applies the tolerances and minimum recurrence it is given', () => {
+  const rows = [exceedance(1, 1000, 60), exceedance(2, 1080, 60)];
+  expect(findHotspots(rows)).toEqual([]);
+  expect(findHotspots(rows, { toleranceYards: 100, toleranceMetres: 100 })).toHaveLength(1);
+  expect(findHotspots([exceedance(1, 1000, 60)], { minRecurrence: 1 })).toHaveLength(1);
+});
+
+test('handles clusters too large to spread into Math.max', () => {
+  const rows = Array.from({ length: 200000 }, (_, index) =>
+    exceedance((index % 5) + 1, 1000, 60, 1655467200 + index)
+  );
+  expect(findHotspots(rows)[0].latestTime).toBe(1655467200 + 199999);
+});
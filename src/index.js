@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +12,17 @@ root.render(
   </React.StrictMode>
 );
 
+// Cache the app, route data and map tiles so the dashboard keeps working without signal.
+// After a deploy, offer to switch to the new version rather than waiting for every tab
+// to close.
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => {
+    if (window.confirm('A new version of the dashboard is available. Reload now?')) {
+      serviceWorkerRegistration.applyUpdate(registration);
+    }
+  },
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,142 @@
+// linearReferencing.js
+
+const EARTH_RADIUS_METRES = 6371000;
+
+// Flat x/y metres around a reference latitude; accurate enough over a single route
+const createProjection = (referenceLat) => {
+  const scaleX = (Math.PI / 180) * EARTH_RADIUS_METRES * Math.cos((referenceLat * Math.PI) / 180);
+  const scaleY = (Math.PI / 180) * EARTH_RADIUS_METRES;
+  return {
+    toXY: ([lat, lng]) => [lng * scaleX, lat * scaleY],
+    toLatLng: ([x, y]) => [y / scaleY, x / scaleX],
+  };
+};
+
+// Nearest point on the line to a projected point, with its distance along the line
+const projectOntoLine = (route, xy) => {
+  let best = null;
+
+  for (let i = 0; i < route.vertices.length - 1; i += 1) {
+    const [ax, ay] = route.vertices[i];
+    const [bx, by] = route.vertices[i + 1];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((xy[0] - ax) * dx + (xy[1] - ay) * dy) / lengthSquared));
+    const px = ax + t * dx;
+    const py = ay + t * dy;
+    const offset = Math.hypot(xy[0] - px, xy[1] - py);
+
+    if (!best || offset < best.offsetMetres) {
+      best = {
+        xy: [px, py],
+        offsetMetres: offset,
+        distanceAlong: route.cumulative[i] + t * Math.sqrt(lengthSquared),
+      };
+    }
+  }
+
+  return best;
+};
+
+// Piecewise-linear lookup in sorted [x, y] pairs, extrapolating beyond either end
+const interpolate = (pairs, x) => {
+  let i = 1;
+  while (i < pairs.length - 1 && x > pairs[i][0]) i += 1;
+  const [x0, y0] = pairs[i - 1];
+  const [x1, y1] = pairs[i];
+  return x1 === x0 ? y0 : y0 + ((x - x0) * (y1 - y0)) / (x1 - x0);
+};
+
+// Build a route from a GeoJSON LineString feature whose `calibration` property lists
+// { yards, coordinates: [lng, lat] } points tying track yardage to the line
+export const buildRoute = (feature) => {
+  const coordinates = feature.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+  const projection = createProjection(coordinates[0][0]);
+  const vertices = coordinates.map(projection.toXY);
+  const cumulative = [0];
+  for (let i = 1; i < vertices.length; i += 1) {
+    cumulative.push(
+      cumulative[i - 1] +
+        Math.hypot(vertices[i][0] - vertices[i - 1][0], vertices[i][1] - vertices[i - 1][1])
+    );
+  }
+
+  const route = {
+    id: feature.properties.id,
+    name: feature.properties.name,
+    toleranceYards: feature.properties.toleranceYards || 200,
+    coordinates,
+    vertices,
+    cumulative,
+    projection,
+  };
+
+  // Calibration as (metres along the line, yards) pairs, ordered along the line
+  const calibration = (feature.properties.calibration || [])
+    .map(({ yards, coordinates: [lng, lat] }) => [
+      projectOntoLine(route, projection.toXY([lat, lng])).distanceAlong,
+      yards,
+    ])
+    .sort((a, b) => a[0] - b[0]);
+  if (calibration.length < 2) {
+    throw new Error(`Route "${route.name}" needs at least two calibration points`);
+  }
+
+  return {
+    ...route,
+    distanceToYards: calibration,
+    yardsToDistance: calibration.map(([distance, yards]) => [yards, distance]),
+  };
+};
+
+// Snap a [lat, lng] point to the route, returning the snapped point, how far off the
+// line it was and its yardage (chainage) along the route
+export const snapToRoute = (route, latLng) => {
+  const nearest = projectOntoLine(route, route.projection.toXY(latLng));
+  return {
+    latLng: route.projection.toLatLng(nearest.xy),
+    offsetMetres: nearest.offsetMetres,
+    yards: interpolate(route.distanceToYards, nearest.distanceAlong),
+  };
+};
+
+// [lat, lng] of a yardage along the route
+export const locateYards = (route, yards) => {
+  const distance = Math.max(
+    0,
+    Math.min(route.cumulative[route.cumulative.length - 1], interpolate(route.yardsToDistance, yards))
+  );
+  const [, segment] = route.cumulative
+    .map((start, index) => [start, index])
+    .filter(([start]) => start <= distance)
+    .pop();
+  const next = Math.min(segment + 1, route.vertices.length - 1);
+  const length = route.cumulative[next] - route.cumulative[segment];
+  const t = length === 0 ? 0 : (distance - route.cumulative[segment]) / length;
+  const [ax, ay] = route.vertices[segment];
+  const [bx, by] = route.vertices[next];
+  return route.projection.toLatLng([ax + t * (bx - ax), ay + t * (by - ay)]);
+};
+
+// Yardage range covered by the route's calibration
+export const getRouteYardsExtent = (route) => {
+  const yards = route.distanceToYards.map(([, value]) => value);
+  return [Math.min(...yards), Math.max(...yards)];
+};
+
+// Compare a row's recorded POSITION_YARDS with the yardage of its lat/long on the route
+export const referenceRow = (route, row) => {
+  const snapped = snapToRoute(route, [row.LATITUDE, row.LONGITUDE]);
+  const routeYards = Math.round(snapped.yards);
+  const yardsDiscrepancy = Math.abs(routeYards - row.POSITION_YARDS);
+  return {
+    routeYards,
+    routeOffsetMetres: Math.round(snapped.offsetMetres),
+    yardsDiscrepancy,
+    isPositionMismatch: yardsDiscrepancy > route.toleranceYards,
+  };
+};
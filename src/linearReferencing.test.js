@@ -0,0 +1,54 @@
+import { buildRoute, snapToRoute, locateYards, referenceRow } from './linearReferencing';
+
+const feature = (calibration) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: [
+      [-0.1, 51.5],
+      [-0.09, 51.5],
+      [-0.09, 51.51],
+    ],
+  },
+  properties: { id: 'up-main', name: 'Up Main', toleranceYards: 50, calibration },
+});
+
+const route = buildRoute(
+  feature([
+    { yards: 1000, coordinates: [-0.1, 51.5] },
+    { yards: 2000, coordinates: [-0.09, 51.5] },
+    { yards: 3000, coordinates: [-0.09, 51.51] },
+  ])
+);
+
+test('needs two calibration points', () => {
+  expect(() => buildRoute(feature([{ yards: 0, coordinates: [-0.1, 51.5] }]))).toThrow(
+    'Route "Up Main" needs at least two calibration points'
+  );
+});
+
+test('snaps a point beside the line to its yardage', () => {
+  const snapped = snapToRoute(route, [51.5001, -0.095]);
+  expect(snapped.yards).toBeCloseTo(1500, 0);
+  expect(snapped.offsetMetres).toBeCloseTo(11.1, 1);
+  expect(snapped.latLng[0]).toBeCloseTo(51.5, 6);
+});
+
+test('interpolates each calibrated stretch separately', () => {
+  expect(snapToRoute(route, [51.505, -0.09]).yards).toBeCloseTo(2500, 0);
+});
+
+test('locates yardages and clamps them to the line', () => {
+  const [lat, lng] = locateYards(route, 2500);
+  expect(lat).toBeCloseTo(51.505, 6);
+  expect(lng).toBeCloseTo(-0.09, 6);
+  expect(locateYards(route, 0)[1]).toBeCloseTo(-0.1, 6);
+});
+
+test('flags rows whose recorded yardage disagrees with their position', () => {
+  const row = { LATITUDE: 51.5, LONGITUDE: -0.095 };
+  expect(referenceRow(route, { ...row, POSITION_YARDS: 1520 }).isPositionMismatch).toBe(false);
+  expect(referenceRow(route, { ...row, POSITION_YARDS: 1600 })).toEqual(
+    expect.objectContaining({ routeYards: 1500, yardsDiscrepancy: 100, isPositionMismatch: true })
+  );
+});
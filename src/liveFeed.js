@@ -0,0 +1,130 @@
+// liveFeed.js
+import { loadCsv } from './csvData';
+import { validateRow } from './dataValidation';
+
+const STORAGE_KEY = 'liveFeed';
+// Wait before reconnecting a dropped WebSocket
+const RECONNECT_MS = 5000;
+
+// Where live rows come from: a CSV/JSON endpoint polled on an interval, or a WebSocket
+// stream. `routeId` is the route new rows are added to (null for the first route).
+export const DEFAULT_FEED_CONFIG = {
+  type: 'poll',
+  url: 'http://localhost:4000/exceedances.csv',
+  intervalSeconds: 30,
+  routeId: null,
+  enabled: false,
+};
+
+// Read the saved feed settings, falling back to the defaults (disconnected)
+export const loadFeedConfig = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored === 'object') return { ...DEFAULT_FEED_CONFIG, ...stored };
+  } catch (error) {
+    console.error('Could not read live feed settings:', error);
+  }
+  return DEFAULT_FEED_CONFIG;
+};
+
+export const saveFeedConfig = (config) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+};
+
+// Parse a feed payload: CSV text with the usual header, or JSON holding one row, an
+// array of rows or { rows: [...] }. Invalid rows are dropped and counted.
+export const parseFeedPayload = async (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const rows = Array.isArray(parsed) ? parsed : Array.isArray(parsed.rows) ? parsed.rows : [parsed];
+    const valid = rows.filter((row) => validateRow(row).length === 0);
+    return { rows: valid, rejected: rows.length - valid.length };
+  }
+
+  const { rows, quality } = await loadCsv(trimmed, 'live feed');
+  if (quality.error) throw new Error(quality.error);
+  return { rows, rejected: quality.rejected.length };
+};
+
+const describeRejected = (rejected) =>
+  rejected > 0 ? `${rejected} invalid row(s) skipped` : null;
+
+// Fetch the endpoint now and then every `intervalSeconds`, carrying on after errors
+const openPolling = ({ url, intervalSeconds }, { onRows, onStatus }) => {
+  let timer = null;
+  let closed = false;
+
+  const poll = async () => {
+    try {
+      const response = await fetch(url, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`Server responded ${response.status}`);
+      const { rows, rejected } = await parseFeedPayload(await response.text());
+      if (closed) return;
+      onRows(rows);
+      onStatus({ state: 'connected', message: describeRejected(rejected), lastUpdated: Date.now() });
+    } catch (error) {
+      if (closed) return;
+      onStatus({ state: 'error', message: error.message });
+    }
+    timer = setTimeout(poll, intervalSeconds * 1000);
+  };
+
+  onStatus({ state: 'connecting', message: null });
+  poll();
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+  };
+};
+
+// Subscribe to a WebSocket whose messages are feed payloads, reconnecting if it drops
+const openWebSocket = ({ url }, { onRows, onStatus }) => {
+  let socket = null;
+  let timer = null;
+  let closed = false;
+
+  const connect = () => {
+    onStatus({ state: 'connecting', message: null });
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      onStatus({ state: 'error', message: error.message });
+      return;
+    }
+
+    socket.onopen = () => onStatus({ state: 'connected', message: null });
+    socket.onmessage = async (event) => {
+      try {
+        const { rows, rejected } = await parseFeedPayload(String(event.data));
+        if (closed) return;
+        onRows(rows);
+        onStatus({ message: describeRejected(rejected), lastUpdated: Date.now() });
+      } catch (error) {
+        onStatus({ message: `Unreadable message: ${error.message}` });
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      onStatus({
+        state: 'error',
+        message: `Disconnected, retrying in ${RECONNECT_MS / 1000} seconds`,
+      });
+      timer = setTimeout(connect, RECONNECT_MS);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    if (socket) socket.close();
+  };
+};
+
+// Start a feed. `onRows` receives each batch of valid rows and `onStatus` partial status
+// updates ({ state, message, lastUpdated }). Returns a function that stops the feed.
+export const openFeed = (config, handlers) =>
+  config.type === 'websocket' ? openWebSocket(config, handlers) : openPolling(config, handlers);
@@ -0,0 +1,50 @@
+import { DEFAULT_FEED_CONFIG, loadFeedConfig, parseFeedPayload } from './liveFeed';
+import { EXPECTED_HEADER } from './dataValidation';
+
+const reading = {
+  UNIX_TIME: 1655467200,
+  ASSET_NAME: 'Up Main',
+  RECORDING_ID: 12,
+  POSITION_YARDS: 1500,
+  LATITUDE: 51.5,
+  LONGITUDE: -0.1,
+  SCORE: 62,
+};
+const noFix = { ...reading, LATITUDE: 0, LONGITUDE: 0 };
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('accepts one JSON row, an array of rows or a rows list', async () => {
+  expect(await parseFeedPayload(JSON.stringify(reading))).toEqual({
+    rows: [reading],
+    rejected: 0,
+  });
+  expect(await parseFeedPayload(JSON.stringify([reading, noFix]))).toEqual({
+    rows: [reading],
+    rejected: 1,
+  });
+  expect(await parseFeedPayload(` ${JSON.stringify({ rows: [noFix] })}\n`)).toEqual({
+    rows: [],
+    rejected: 1,
+  });
+});
+
+test('accepts CSV with the usual header', async () => {
+  const csv = [
+    EXPECTED_HEADER.join(','),
+    '1655467200,Up Main,12,1500,51.5,-0.1,62',
+    '1655467260,Up Main,12,1510,0,0,64',
+  ].join('\n');
+  expect(await parseFeedPayload(csv)).toEqual({ rows: [reading], rejected: 1 });
+  await expect(parseFeedPayload('UNIX_TIME,SCORE\n1655467200,62')).rejects.toThrow(
+    'Missing column(s): ASSET_NAME, RECORDING_ID, POSITION_YARDS, LATITUDE, LONGITUDE'
+  );
+});
+
+test('saved settings are filled in from the defaults', () => {
+  expect(loadFeedConfig()).toBe(DEFAULT_FEED_CONFIG);
+  window.localStorage.setItem('liveFeed', JSON.stringify({ type: 'websocket', enabled: true }));
+  expect(loadFeedConfig()).toEqual({ ...DEFAULT_FEED_CONFIG, type: 'websocket', enabled: true });
+});
@@ -0,0 +1,116 @@
+// mapSnapshot.js
+import { getTileUrl } from './offlineCache';
+
+const TILE_SIZE = 256;
+const MAX_ZOOM = 17;
+// Space kept clear around the data, in pixels
+const PADDING = 20;
+
+// Web Mercator pixel position of [lat, lng] at a zoom level, as Leaflet computes it
+const project = ([lat, lng], zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [
+    ((lng + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  ];
+};
+
+// Highest zoom at which the bounds fit inside the image
+const getFittingZoom = ([[south, west], [north, east]], width, height) => {
+  for (let zoom = MAX_ZOOM; zoom > 0; zoom -= 1) {
+    const [left, top] = project([north, west], zoom);
+    const [right, bottom] = project([south, east], zoom);
+    if (right - left <= width - PADDING * 2 && bottom - top <= height - PADDING * 2) return zoom;
+  }
+  return 0;
+};
+
+// Resolves with the image, or null if it cannot be loaded (e.g. offline and not cached)
+const loadImage = (url) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    // Tiles are requested with CORS so drawing them does not taint the canvas
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+
+// Static PNG of the map for printing: base-map tiles around `bounds`, each route line
+// ({ coordinates, color }) and a dot per row coloured by `getColor`. Tiles that cannot
+// be loaded leave a plain background. Resolves with a data URL.
+export const renderMapSnapshot = async ({
+  bounds,
+  rows,
+  routeLines,
+  getColor,
+  tileUrl,
+  width = 800,
+  height = 450,
+}) => {
+  const zoom = getFittingZoom(bounds, width, height);
+  const [[south, west], [north, east]] = bounds;
+  const [left, top] = project([north, west], zoom);
+  const [right, bottom] = project([south, east], zoom);
+  const originX = (left + right) / 2 - width / 2;
+  const originY = (top + bottom) / 2 - height / 2;
+  const toCanvas = (latLng) => {
+    const [x, y] = project(latLng, zoom);
+    return [x - originX, y - originY];
+  };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f2efe9';
+  ctx.fillRect(0, 0, width, height);
+
+  const tiles = [];
+  for (let x = Math.floor(originX / TILE_SIZE); x * TILE_SIZE < originX + width; x += 1) {
+    for (let y = Math.floor(originY / TILE_SIZE); y * TILE_SIZE < originY + height; y += 1) {
+      tiles.push({ x, y, z: zoom });
+    }
+  }
+  const images = await Promise.all(tiles.map((tile) => loadImage(getTileUrl(tileUrl, tile))));
+  images.forEach((image, index) => {
+    if (image) {
+      ctx.drawImage(image, tiles[index].x * TILE_SIZE - originX, tiles[index].y * TILE_SIZE - originY);
+    }
+  });
+
+  ctx.lineWidth = 4;
+  ctx.globalAlpha = 0.6;
+  routeLines.forEach((line) => {
+    ctx.strokeStyle = line.color;
+    ctx.beginPath();
+    line.coordinates.forEach((latLng, index) => {
+      const [x, y] = toCanvas(latLng);
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  });
+
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = '#ffffff';
+  rows.forEach((row) => {
+    const [x, y] = toCanvas([row.LATITUDE, row.LONGITUDE]);
+    ctx.fillStyle = getColor(row);
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = 'rgba(255,255,255,0.8)';
+  ctx.fillRect(width - 170, height - 18, 170, 18);
+  ctx.fillStyle = '#333333';
+  ctx.fillText('© OpenStreetMap contributors', width - 6, height - 5);
+
+  return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,43 @@
+// markerClusters.js
+import { getSeverityRank } from './severityBands';
+
+// Group points falling in the same square of screen pixels at the current zoom.
+// `project` converts [lat, lng] to a pixel point ({ x, y }) for that zoom.
+export const clusterPoints = (points, project, severityBands, cellSize = 60) => {
+  const cells = new Map();
+
+  points.forEach((point) => {
+    const { x, y } = project([point.LATITUDE, point.LONGITUDE]);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = {
+        key,
+        points: [],
+        latitude: 0,
+        longitude: 0,
+        worstSeverity: point.severity,
+        worstPoint: point,
+      };
+      cells.set(key, cell);
+    }
+
+    cell.points.push(point);
+    cell.latitude += point.LATITUDE;
+    cell.longitude += point.LONGITUDE;
+    if (
+      getSeverityRank(severityBands, point.severity) >
+      getSeverityRank(severityBands, cell.worstSeverity)
+    ) {
+      cell.worstSeverity = point.severity;
+      cell.worstPoint = point;
+    }
+  });
+
+  return [...cells.values()].map((cell) => ({
+    ...cell,
+    count: cell.points.length,
+    latitude: cell.latitude / cell.points.length,
+    longitude: cell.longitude / cell.points.length,
+  }));
+};
@@ -0,0 +1,75 @@
+// offlineCache.js
+// Shared by the page and the service worker, so nothing here may touch the DOM or Leaflet
+
+// Cache Storage names used by the service worker and the tile downloader
+export const DATA_CACHE = 'route-data';
+export const TILE_CACHE = 'map-tiles';
+// Most tiles kept in the tile cache
+export const MAX_TILES = 5000;
+// Caps on a single offline download of tiles
+export const MAX_DOWNLOAD_TILES = 2000;
+export const MAX_DOWNLOAD_ZOOM = 16;
+
+export const ROUTE_MANIFEST_URL = '/routes.json';
+
+// Base maps for light and dark mode. REACT_APP_TILE_URL replaces the light map with
+// another tile server, such as a commercial or self-hosted one.
+export const TILE_LAYERS = {
+  light: process.env.REACT_APP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  dark: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+};
+export const TILE_HOSTS = Object.values(TILE_LAYERS).map(
+  (template) => template.match(/^https?:\/\/(?:\{s\}\.)?([^/]+)/)[1]
+);
+
+// The public OpenStreetMap and CARTO servers forbid downloading tiles in bulk, so saving
+// tiles ahead of time is only offered for a light map server set through
+// REACT_APP_TILE_URL whose terms allow it, confirmed with REACT_APP_TILE_ALLOW_OFFLINE=true.
+// Tiles that have been viewed are cached either way.
+export const CAN_DOWNLOAD_TILES =
+  Boolean(process.env.REACT_APP_TILE_URL) && process.env.REACT_APP_TILE_ALLOW_OFFLINE === 'true';
+// Leaflet's default subdomains, picked per tile from its x and y
+const SUBDOMAINS = 'abc';
+
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const radians = (lat * Math.PI) / 180;
+  return Math.floor(
+    ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom
+  );
+};
+
+// Every tile { x, y, z } covering [[south, west], [north, east]] from minZoom to maxZoom
+export const getTilesInBounds = ([[south, west], [north, east]], minZoom, maxZoom) => {
+  const tiles = [];
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    // Tile rows count down from the north
+    for (let x = lngToTileX(west, z); x <= lngToTileX(east, z); x += 1) {
+      for (let y = latToTileY(north, z); y <= latToTileY(south, z); y += 1) {
+        tiles.push({ x, y, z });
+      }
+    }
+  }
+  return tiles;
+};
+
+// Number of tiles getTilesInBounds would return, without building the list
+export const countTilesInBounds = ([[south, west], [north, east]], minZoom, maxZoom) => {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    count +=
+      (lngToTileX(east, z) - lngToTileX(west, z) + 1) *
+      (latToTileY(south, z) - latToTileY(north, z) + 1);
+  }
+  return count;
+};
+
+// The URL Leaflet requests for a tile, so a downloaded tile is found in the cache later
+export const getTileUrl = (template, { x, y, z }, retina = false) =>
+  template
+    .replace('{s}', SUBDOMAINS[Math.abs(x + y) % SUBDOMAINS.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', retina ? '@2x' : '');
@@ -0,0 +1,100 @@
+// presets.js
+import { DEFAULT_VIEW_STATE, paramsToViewState, viewStateToParams } from './viewState';
+
+const STORAGE_KEY = 'filterPresets';
+const EXPORT_VERSION = 1;
+
+const EMPTY_PRESETS = { presets: [], defaultId: null };
+
+const createId = () => `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Round-trip a view through its URL form so only known, well-formed fields survive
+const normaliseView = (view) =>
+  paramsToViewState(viewStateToParams({ ...DEFAULT_VIEW_STATE, ...view }));
+
+const normalisePreset = (preset) => {
+  if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+    throw new Error('Every preset needs a name');
+  }
+  let view;
+  try {
+    view = normaliseView(preset.view || {});
+  } catch (error) {
+    throw new Error(`Preset "${preset.name}" has an invalid view`);
+  }
+  return {
+    id: typeof preset.id === 'string' ? preset.id : createId(),
+    name: preset.name.trim(),
+    view,
+  };
+};
+
+// Read saved presets, falling back to none if storage is empty or unreadable. A preset
+// that no longer reads is skipped rather than losing the rest on the next save.
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.presets)) {
+      const presets = stored.presets.flatMap((preset) => {
+        try {
+          return [normalisePreset(preset)];
+        } catch (error) {
+          console.error('Skipping unreadable preset:', error);
+          return [];
+        }
+      });
+      const defaultId = presets.some((preset) => preset.id === stored.defaultId)
+        ? stored.defaultId
+        : null;
+      return { presets, defaultId };
+    }
+  } catch (error) {
+    console.error('Could not read presets:', error);
+  }
+  return EMPTY_PRESETS;
+};
+
+export const savePresets = (state) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+export const createPreset = (name, view) => normalisePreset({ name, view });
+
+// View of the preset marked as default, or null
+export const getDefaultPresetView = ({ presets, defaultId }) => {
+  const preset = presets.find((candidate) => candidate.id === defaultId);
+  return preset ? preset.view : null;
+};
+
+// JSON file shared between team members
+export const exportPresets = ({ presets }) =>
+  JSON.stringify({ version: EXPORT_VERSION, presets }, null, 2);
+
+// Parse an exported presets file; throws with a readable message if it is not one
+export const parsePresetsFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!parsed || !Array.isArray(parsed.presets)) {
+    throw new Error('File does not contain a presets list');
+  }
+  return parsed.presets.map(normalisePreset);
+};
+
+// Add imported presets, replacing any existing preset with the same name
+export const mergePresets = (state, imported) => {
+  const importedNames = new Set(imported.map((preset) => preset.name));
+  const kept = state.presets.filter((preset) => !importedNames.has(preset.name));
+  const keptIds = new Set(kept.map((preset) => preset.id));
+  const presets = [
+    ...kept,
+    ...imported.map((preset) => (keptIds.has(preset.id) ? { ...preset, id: createId() } : preset)),
+  ];
+  return {
+    presets,
+    defaultId: presets.some((preset) => preset.id === state.defaultId) ? state.defaultId : null,
+  };
+};
@@ -0,0 +1,63 @@
+import { DEFAULT_VIEW_STATE } from './viewState';
+import {
+  createPreset,
+  loadPresets,
+  parsePresetsFile,
+  mergePresets,
+  getDefaultPresetView,
+} from './presets';
+
+afterEach(() => {
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('a preset keeps only known view fields, filled in from the defaults', () => {
+  const preset = createPreset('  Hot runs  ', { selectedSeverity: 'high', colour: 'red' });
+  expect(preset.name).toBe('Hot runs');
+  expect(preset.view).toEqual({ ...DEFAULT_VIEW_STATE, selectedSeverity: 'high' });
+  expect(() => createPreset(' ', {})).toThrow('Every preset needs a name');
+});
+
+test('loading skips an unreadable preset and keeps the rest', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.localStorage.setItem(
+    'filterPresets',
+    JSON.stringify({
+      presets: [
+        { id: 'hot', name: 'Hot runs', view: { selectedSeverity: 'high' } },
+        { id: 'unnamed', view: {} },
+      ],
+      defaultId: 'unnamed',
+    })
+  );
+  const state = loadPresets();
+  expect(state.presets.map((preset) => preset.id)).toEqual(['hot']);
+  // The default pointed at the skipped preset, so there is none
+  expect(state.defaultId).toBeNull();
+  expect(console.error).toHaveBeenCalledTimes(1);
+});
+
+test('parsing a shared file explains what is wrong with it', () => {
+  expect(() => parsePresetsFile('{')).toThrow('File is not valid JSON');
+  expect(() => parsePresetsFile('{"rules": []}')).toThrow('File does not contain a presets list');
+  expect(parsePresetsFile('{"presets": [{"name": "All"}]}')[0].view).toEqual(DEFAULT_VIEW_STATE);
+});
+
+test('merging replaces presets by name and never reuses an id', () => {
+  const state = {
+    presets: [
+      { id: 'a', name: 'Hot runs', view: DEFAULT_VIEW_STATE },
+      { id: 'b', name: 'Night', view: DEFAULT_VIEW_STATE },
+    ],
+    defaultId: 'a',
+  };
+  const merged = mergePresets(state, [
+    { id: 'b', name: 'Hot runs', view: { ...DEFAULT_VIEW_STATE, selectedSeverity: 'high' } },
+  ]);
+  expect(merged.presets.map((preset) => preset.name)).toEqual(['Night', 'Hot runs']);
+  expect(merged.presets[1].id).not.toBe('b');
+  // The replaced preset was the default
+  expect(merged.defaultId).toBeNull();
+  expect(getDefaultPresetView(state)).toBe(DEFAULT_VIEW_STATE);
+});
@@ -0,0 +1,292 @@
+// report.js
+import { computeStatistics } from './statistics';
+import { getBounds } from './geo';
+import { escapeXml } from './exporters';
+import { renderMapSnapshot } from './mapSnapshot';
+import { getAnnotationStatus } from './annotations';
+import { getBandColor, getBandName, getBandTint, getSeverityRank } from './severityBands';
+
+// Rows listed in the top exceedances table
+const TOP_ROWS = 25;
+// Most points drawn in the position chart, so large reports stay quick to open and print
+const MAX_CHART_POINTS = 2000;
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 300;
+const CHART_MARGIN = { top: 10, right: 20, bottom: 40, left: 50 };
+
+const formatNumber = (value, digits = 1) => (value === null ? '–' : value.toFixed(digits));
+
+const formatDateInput = (value) => value.replace('T', ' ');
+
+// Round tick spacing (1, 2 or 5 times a power of ten) giving about `count` ticks
+const getTickStep = (range, count) => {
+  const rough = range / count;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  return [1, 2, 5, 10].map((multiple) => multiple * power).find((step) => step >= rough);
+};
+
+// Smallest and largest of a field, without spreading every row into one call
+const getExtent = (rows, getValue) =>
+  rows.reduce(
+    ([min, max], row) => [Math.min(min, getValue(row)), Math.max(max, getValue(row))],
+    [Infinity, -Infinity]
+  );
+
+// At most `limit` rows for the chart: the hottest quarter of the limit, so no peak is
+// lost, and an even sample of the rest in their original order
+export const sampleChartRows = (rows, limit = MAX_CHART_POINTS) => {
+  if (rows.length <= limit) return rows;
+  const hottestCount = Math.floor(limit / 4);
+  const byScore = [...rows].sort((a, b) => b.SCORE - a.SCORE);
+  const hottest = new Set(byScore.slice(0, hottestCount));
+  const rest = rows.filter((row) => !hottest.has(row));
+  const step = rest.length / (limit - hottestCount);
+  const sampled = Array.from(
+    { length: limit - hottestCount },
+    (_, index) => rest[Math.floor(index * step)]
+  );
+  return [...sampled, ...byScore.slice(0, hottestCount)];
+};
+
+const getTicks = ([min, max], count) => {
+  const step = getTickStep(max - min, count);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) ticks.push(tick);
+  return ticks;
+};
+
+// Temperature against track position as a standalone SVG, with the band thresholds
+// marked. Every row is plotted, so pass large sets through sampleChartRows first.
+export const buildPositionChartSvg = (rows, severityBands) => {
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const [xMin, xMax] = getExtent(rows, (row) => row.POSITION_YARDS);
+  const [scoreMin, scoreMax] = getExtent(rows, (row) => row.SCORE);
+  const xDomain = xMin === xMax ? [xMin - 1, xMax + 1] : [xMin, xMax];
+  const yDomain = [scoreMin - 5, scoreMax + 5];
+  const toX = (value) =>
+    CHART_MARGIN.left + ((value - xDomain[0]) / (xDomain[1] - xDomain[0])) * plotWidth;
+  const toY = (value) =>
+    CHART_MARGIN.top + plotHeight - ((value - yDomain[0]) / (yDomain[1] - yDomain[0])) * plotHeight;
+  const plotBottom = CHART_MARGIN.top + plotHeight;
+  const plotRight = CHART_MARGIN.left + plotWidth;
+
+  const xTicks = getTicks(xDomain, 8).map(
+    (tick) => `<line x1="${toX(tick).toFixed(1)}" y1="${CHART_MARGIN.top}" x2="${toX(tick).toFixed(1)}" y2="${plotBottom}" stroke="#ddd" stroke-dasharray="3 3" />
+    <text x="${toX(tick).toFixed(1)}" y="${plotBottom + 14}" text-anchor="middle">${tick}</text>`
+  );
+  const yTicks = getTicks(yDomain, 5).map(
+    (tick) => `<line x1="${CHART_MARGIN.left}" y1="${toY(tick).toFixed(1)}" x2="${plotRight}" y2="${toY(tick).toFixed(1)}" stroke="#ddd" stroke-dasharray="3 3" />
+    <text x="${CHART_MARGIN.left - 6}" y="${(toY(tick) + 4).toFixed(1)}" text-anchor="end">${tick}</text>`
+  );
+  const thresholds = severityBands
+    .filter((band) => band.threshold > yDomain[0] && band.threshold < yDomain[1])
+    .map(
+      (band) => `<line x1="${CHART_MARGIN.left}" y1="${toY(band.threshold).toFixed(1)}" x2="${plotRight}" y2="${toY(band.threshold).toFixed(1)}" stroke="${band.color}" stroke-dasharray="6 3" />
+    <text x="${plotRight - 4}" y="${(toY(band.threshold) - 4).toFixed(1)}" text-anchor="end" fill="${band.color}">${escapeXml(band.name)} ${band.threshold}°C</text>`
+    );
+  const points = rows.map(
+    (row) =>
+      `<circle cx="${toX(row.POSITION_YARDS).toFixed(1)}" cy="${toY(row.SCORE).toFixed(1)}" r="3" fill="${getBandColor(severityBands, row.severity)}" fill-opacity="0.8" />`
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" font-size="11" font-family="sans-serif">
+    ${xTicks.join('\n    ')}
+    ${yTicks.join('\n    ')}
+    ${thresholds.join('\n    ')}
+    ${points.join('\n    ')}
+    <line x1="${CHART_MARGIN.left}" y1="${plotBottom}" x2="${plotRight}" y2="${plotBottom}" stroke="#666" />
+    <line x1="${CHART_MARGIN.left}" y1="${CHART_MARGIN.top}" x2="${CHART_MARGIN.left}" y2="${plotBottom}" stroke="#666" />
+    <text x="${CHART_MARGIN.left + plotWidth / 2}" y="${CHART_HEIGHT - 6}" text-anchor="middle">Position (yards)</text>
+    <text transform="translate(12 ${CHART_MARGIN.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">Temperature (°C)</text>
+  </svg>`;
+};
+
+// Plain-language list of the filters behind a view, for the report's summary
+export const describeFilters = (view, severityBands) => {
+  const filters = [];
+  if (view.selectedSeverity !== 'all') {
+    filters.push(`Severity: ${getBandName(severityBands, view.selectedSeverity)}`);
+  }
+  const [minTemp, maxTemp] = view.temperatureRange;
+  if (minTemp !== '' || maxTemp !== '') {
+    const formatTemp = (value) => (value === '' ? 'any' : `${value}°C`);
+    filters.push(`Temperature: ${formatTemp(minTemp)} to ${formatTemp(maxTemp)}`);
+  }
+  if (view.searchTerm) filters.push(`Search: "${view.searchTerm}"`);
+  if (view.selectedRun !== null) filters.push(`Recording: ${view.selectedRun}`);
+  if (view.annotationStatus !== 'all') {
+    filters.push(
+      `Annotation status: ${
+        { any: 'Any annotation', none: 'Not annotated' }[view.annotationStatus] ||
+        getAnnotationStatus(view.annotationStatus).name
+      }`
+    );
+  }
+  if (view.selectedArea) filters.push('Map area: drawn on the map');
+  return filters;
+};
+
+// Date range of the report: the date filter if set, otherwise the span of the rows
+const describeDateRange = (view, rows) => {
+  if (view.dateFrom || view.dateTo) {
+    return `${view.dateFrom ? formatDateInput(view.dateFrom) : 'start'} to ${
+      view.dateTo ? formatDateInput(view.dateTo) : 'end'
+    }`;
+  }
+  if (rows.length === 0) return 'No data';
+  const [firstTime, lastTime] = getExtent(rows, (row) => row.UNIX_TIME);
+  const first = new Date(firstTime * 1000).toLocaleString();
+  const last = new Date(lastTime * 1000).toLocaleString();
+  return `${first} to ${last} (all dates in the data)`;
+};
+
+// Self-contained printable HTML: styles, chart and map image are all inline
+export const buildReportHtml = ({
+  title,
+  routeLabel,
+  view,
+  rows,
+  severityBands,
+  mapImage,
+  generatedAt = new Date(),
+}) => {
+  const statistics = computeStatistics(rows, severityBands);
+  const chartRows = sampleChartRows(rows);
+  const filters = describeFilters(view, severityBands);
+  const topRows = [...rows]
+    .sort((a, b) => b.SCORE - a.SCORE || b.UNIX_TIME - a.UNIX_TIME)
+    .slice(0, TOP_ROWS);
+  const severityChip = (row) => {
+    const color = getBandColor(severityBands, row.severity);
+    return `<span class="chip" style="background-color: ${getBandTint(color)}">${escapeXml(
+      getBandName(severityBands, row.severity).toUpperCase()
+    )}</span>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeXml(title)} - ${escapeXml(routeLabel)}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #000000; margin: 24px auto; max-width: 820px; font-size: 13px; }
+    header { border-bottom: 4px solid #60348c; padding-bottom: 8px; }
+    h1 { color: #60348c; font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 0 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    section { margin-top: 20px; break-inside: avoid; page-break-inside: avoid; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; }
+    th { background-color: #f5f5f5; }
+    .figures { display: flex; gap: 24px; flex-wrap: wrap; }
+    .figure strong { display: block; font-size: 18px; }
+    .chip { padding: 1px 6px; border-radius: 8px; font-size: 11px; }
+    .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 4px; }
+    img, svg { width: 100%; height: auto; border: 1px solid #ddd; }
+    .toolbar { margin-bottom: 16px; }
+    .toolbar button { padding: 6px 12px; border: none; border-radius: 4px; background-color: #60348c; color: #ffffff; cursor: pointer; font-size: 14px; }
+    @media print { .toolbar { display: none; } body { margin: 0; max-width: none; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <header>
+    <h1>${escapeXml(title)}</h1>
+    <div><strong>Route:</strong> ${escapeXml(routeLabel)}</div>
+    <div><strong>Period:</strong> ${escapeXml(describeDateRange(view, rows))}</div>
+    <div><strong>Filters:</strong> ${escapeXml(filters.length > 0 ? filters.join('; ') : 'None (all exceedances)')}</div>
+    <div><strong>Generated:</strong> ${escapeXml(generatedAt.toLocaleString())}</div>
+  </header>
+
+  <section>
+    <h2>Summary</h2>
+    <div class="figures">
+      <div class="figure"><strong>${statistics.count}</strong>exceedances</div>
+      <div class="figure"><strong>${formatNumber(statistics.meanScore)}°C</strong>mean</div>
+      <div class="figure"><strong>${formatNumber(statistics.p95Score)}°C</strong>95th percentile</div>
+      <div class="figure"><strong>${formatNumber(statistics.maxScore, 0)}°C</strong>maximum</div>
+      <div class="figure"><strong>${statistics.perRecording.length}</strong>recordings</div>
+    </div>
+    <table style="margin-top: 12px">
+      <tr><th>Severity</th><th>Threshold</th><th>Exceedances</th></tr>
+      ${statistics.severityCounts
+        .map(
+          (entry) =>
+            `<tr><td><span class="dot" style="background-color: ${entry.color}"></span>${escapeXml(entry.name)}</td><td>${
+              severityBands.find((band) => band.id === entry.id).threshold
+            }°C</td><td>${entry.count}</td></tr>`
+        )
+        .join('\n      ')}
+    </table>
+  </section>
+
+  ${
+    mapImage
+      ? `<section>
+    <h2>Map</h2>
+    <img src="${mapImage}" alt="Map of the exceedances in this report" />
+  </section>`
+      : ''
+  }
+
+  ${
+    rows.length > 0
+      ? `<section>
+    <h2>Temperature Along the Line</h2>
+    ${buildPositionChartSvg(chartRows, severityBands)}${
+      chartRows.length < rows.length
+        ? `
+    <p>Showing ${chartRows.length} of ${rows.length} exceedances: the hottest and an even sample of the rest.</p>`
+        : ''
+    }
+  </section>`
+      : ''
+  }
+
+  <section>
+    <h2>Top ${topRows.length} Exceedances by Temperature</h2>
+    <table>
+      <tr><th>Date/Time</th><th>Recording</th><th>Position (yards)</th><th>Temp (°C)</th><th>Severity</th><th>Annotation</th></tr>
+      ${topRows
+        .map(
+          (row) =>
+            `<tr><td>${escapeXml(row.date)}</td><td>${row.RECORDING_ID}</td><td>${row.POSITION_YARDS}</td><td>${row.SCORE}</td><td>${severityChip(row)}</td><td>${
+              row.annotation ? escapeXml(getAnnotationStatus(row.annotation.status).name) : ''
+            }</td></tr>`
+        )
+        .join('\n      ')}
+    </table>
+  </section>
+</body>
+</html>
+`;
+};
+
+// Build the report for the rows of the current view, including a map snapshot
+export const generateReport = async ({
+  title,
+  routeLabel,
+  view,
+  rows,
+  severityBands,
+  routeLines,
+  tileUrl,
+}) => {
+  // Drawn in severity order so the most severe points sit on top
+  const mapRows = [...rows].sort(
+    (a, b) => getSeverityRank(severityBands, a.severity) - getSeverityRank(severityBands, b.severity)
+  );
+  const mapImage =
+    rows.length > 0
+      ? await renderMapSnapshot({
+          bounds: getBounds(rows),
+          rows: mapRows,
+          routeLines,
+          getColor: (row) => getBandColor(severityBands, row.severity),
+          tileUrl,
+        })
+      : null;
+  return buildReportHtml({ title, routeLabel, view, rows, severityBands, mapImage });
+};
@@ -0,0 +1,20 @@
+import { sampleChartRows } from './report';
+
+test('small reports are charted in full', () => {
+  const rows = [{ SCORE: 60 }, { SCORE: 70 }];
+  expect(sampleChartRows(rows, 10)).toBe(rows);
+});
+
+test('large reports keep their hottest rows and an even sample of the rest', () => {
+  const rows = Array.from({ length: 1000 }, (_, index) => ({ id: index, SCORE: index % 500 }));
+  const sampled = sampleChartRows(rows, 100);
+  expect(sampled).toHaveLength(100);
+  expect(new Set(sampled).size).toBe(100);
+  const scores = sampled.map((row) => row.SCORE);
+  // The hottest quarter of the limit comes last, hottest first
+  expect(scores.slice(-25)).toEqual([
+    499, 499, 498, 498, 497, 497, 496, 496, 495, 495, 494, 494, 493, 493, 492, 492, 491, 491, 490,
+    490, 489, 489, 488, 488, 487,
+  ]);
+  expect(Math.min(...scores)).toBe(0);
+});
@@ -0,0 +1,119 @@
+// routeManifest.js
+import { loadCsv, mergeRows } from './csvData';
+import { buildRoute } from './linearReferencing';
+import { getBounds } from './geo';
+
+// Route selector value for the overview of every route
+export const ALL_ROUTES = 'all';
+
+// Colours given to routes the manifest doesn't colour itself
+const ROUTE_COLORS = ['#60348c', '#0ea5e9', '#f97316', '#14b8a6', '#e11d48', '#84cc16'];
+
+const isLatLng = (value) =>
+  Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+
+const normaliseRoute = (route, index) => {
+  if (!route || typeof route.id !== 'string' || route.id.trim() === '') {
+    throw new Error(`Route ${index + 1} needs an id`);
+  }
+  if (route.id === ALL_ROUTES) {
+    throw new Error(`"${ALL_ROUTES}" is reserved and cannot be used as a route id`);
+  }
+  if (!Array.isArray(route.dataFiles) || route.dataFiles.length === 0) {
+    throw new Error(`Route "${route.id}" needs at least one data file`);
+  }
+  if (route.bounds !== undefined && !(Array.isArray(route.bounds) && route.bounds.every(isLatLng))) {
+    throw new Error(`Route "${route.id}" bounds must be [[south, west], [north, east]]`);
+  }
+
+  return {
+    id: route.id,
+    name: route.name || route.id,
+    from: route.from || null,
+    to: route.to || null,
+    dataFiles: route.dataFiles,
+    geometry: route.geometry || null,
+    bounds: route.bounds || null,
+    color: route.color || ROUTE_COLORS[index % ROUTE_COLORS.length],
+  };
+};
+
+// Parse the route manifest; throws with a readable message if it is malformed
+export const parseRouteManifest = (manifest) => {
+  if (!manifest || !Array.isArray(manifest.routes) || manifest.routes.length === 0) {
+    throw new Error('Route manifest does not list any routes');
+  }
+  const routes = manifest.routes.map(normaliseRoute);
+  const ids = new Set(routes.map((route) => route.id));
+  if (ids.size !== routes.length) {
+    throw new Error('Route ids in the manifest must be unique');
+  }
+  return routes;
+};
+
+// Fetch and validate every data file of a route, tagging each row with the route it
+// belongs to, and build the route geometry if it has one. Throws with the file and HTTP
+// status if a data file cannot be fetched; a geometry that cannot be fetched or built
+// leaves geometry null and is described by geometryError instead, as the rows still load.
+export const loadRouteData = async (route) => {
+  let rows = [];
+  const quality = [];
+
+  for (const file of route.dataFiles) {
+    const response = await fetch(file);
+    if (!response.ok) throw new Error(`${file} could not be loaded (HTTP ${response.status})`);
+    const { rows: fileRows, quality: fileQuality } = await loadCsv(
+      await response.text(),
+      file.split('/').pop()
+    );
+    // Merging also drops rows repeated within and across the route's files
+    rows = mergeRows(
+      rows,
+      fileRows.map((row) => ({ ...row, routeId: route.id }))
+    ).rows;
+    quality.push(fileQuality);
+  }
+
+  let geometry = null;
+  let geometryError = null;
+  if (route.geometry) {
+    try {
+      const response = await fetch(route.geometry);
+      if (!response.ok) {
+        throw new Error(`${route.geometry} could not be loaded (HTTP ${response.status})`);
+      }
+      geometry = buildRoute(await response.json());
+    } catch (error) {
+      console.error(`Route geometry load error (${route.id}):`, error);
+      geometryError = error.message;
+    }
+  }
+
+  return { rows, quality, geometry, geometryError };
+};
+
+// Short name for selectors and legends, e.g. "Hungerford Bridge - Orpington"
+export const getRouteLabel = (route) =>
+  route.from && route.to ? `${route.from} - ${route.to}` : route.name;
+
+// The selected route id if the manifest has it, else the first route
+export const resolveRouteId = (routes, routeId) =>
+  routeId === ALL_ROUTES || routes.some((route) => route.id === routeId)
+    ? routeId
+    : routes.length > 0
+      ? routes[0].id
+      : null;
+
+// Rows belonging to a route, or every row for the overview
+export const getRouteRows = (rows, routeId) =>
+  routeId === ALL_ROUTES ? rows : rows.filter((row) => row.routeId === routeId);
+
+// Default map bounds for a route: from the manifest, else fitted to its rows, falling
+// back to all rows when the route has none
+export const getDefaultBounds = (routes, rows, routeId) => {
+  const route = routes.find((candidate) => candidate.id === routeId);
+  if (route && route.bounds) return route.bounds;
+  const routeRows = getRouteRows(rows, routeId);
+  const candidates = routeRows.length > 0 ? routeRows : rows;
+  return candidates.length > 0 ? getBounds(candidates) : null;
+};
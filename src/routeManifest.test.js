@@ -0,0 +1,124 @@
+import {
+  ALL_ROUTES,
+  parseRouteManifest,
+  loadRouteData,
+  resolveRouteId,
+  getDefaultBounds,
+} from './routeManifest';
+import { EXPECTED_HEADER } from './dataValidation';
+
+const CSV = `${EXPECTED_HEADER.join(',')}\n1655467200,Up Main,12,1500,51.5,-0.1,62\n`;
+
+const line = (calibration) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: [
+      [-0.1, 51.5],
+      [-0.09, 51.5],
+    ],
+  },
+  properties: { id: 'up-main', name: 'Up Main', calibration },
+});
+
+// Serve each path from `files`, with a 404 for anything else
+const serve = (files) => {
+  global.fetch = jest.fn((path) =>
+    Promise.resolve(
+      path in files
+        ? {
+            ok: true,
+            status: 200,
+            text: () => Promise.resolve(files[path]),
+            json: () => Promise.resolve(files[path]),
+          }
+        : { ok: false, status: 404 }
+    )
+  );
+};
+
+const [route] = parseRouteManifest({
+  routes: [{ id: 'up-main', dataFiles: ['/data/up.csv'], geometry: '/data/up.geojson' }],
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('fills in names and colours and rejects malformed manifests', () => {
+  expect(route).toEqual(expect.objectContaining({ name: 'up-main', color: '#60348c' }));
+  expect(() => parseRouteManifest({ routes: [] })).toThrow(
+    'Route manifest does not list any routes'
+  );
+  expect(() => parseRouteManifest({ routes: [{ id: ALL_ROUTES, dataFiles: ['a.csv'] }] })).toThrow(
+    '"all" is reserved and cannot be used as a route id'
+  );
+  expect(() =>
+    parseRouteManifest({
+      routes: [
+        { id: 'a', dataFiles: ['a.csv'] },
+        { id: 'a', dataFiles: ['b.csv'] },
+      ],
+    })
+  ).toThrow('Route ids in the manifest must be unique');
+});
+
+test('loads a route with its rows tagged and its geometry built', async () => {
+  serve({
+    '/data/up.csv': CSV,
+    '/data/up.geojson': line([
+      { yards: 1000, coordinates: [-0.1, 51.5] },
+      { yards: 2000, coordinates: [-0.09, 51.5] },
+    ]),
+  });
+  const result = await loadRouteData(route);
+  expect(result.rows).toEqual([expect.objectContaining({ SCORE: 62, routeId: 'up-main' })]);
+  expect(result.geometry.id).toBe('up-main');
+  expect(result.geometryError).toBeNull();
+});
+
+test('fails a route whose data file cannot be fetched', async () => {
+  serve({});
+  await expect(loadRouteData(route)).rejects.toThrow('/data/up.csv could not be loaded (HTTP 404)');
+});
+
+test('keeps the rows but reports a geometry that cannot be loaded or built', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  serve({ '/data/up.csv': CSV });
+  expect(await loadRouteData(route)).toEqual(
+    expect.objectContaining({
+      geometry: null,
+      geometryError: '/data/up.geojson could not be loaded (HTTP 404)',
+    })
+  );
+
+  serve({ '/data/up.csv': CSV, '/data/up.geojson': line([]) });
+  const result = await loadRouteData(route);
+  expect(result.rows).toHaveLength(1);
+  expect(result.geometryError).toBe('Route "Up Main" needs at least two calibration points');
+});
+
+test('resolves the selected route and its default bounds', () => {
+  const routes = [
+    route,
+    {
+      ...route,
+      id: 'down-main',
+      bounds: [
+        [51, -1],
+        [52, 0],
+      ],
+    },
+  ];
+  expect(resolveRouteId(routes, 'down-main')).toBe('down-main');
+  expect(resolveRouteId(routes, ALL_ROUTES)).toBe(ALL_ROUTES);
+  expect(resolveRouteId(routes, 'gone')).toBe('up-main');
+  expect(resolveRouteId([], 'gone')).toBeNull();
+
+  const rows = [{ routeId: 'up-main', LATITUDE: 51.5, LONGITUDE: -0.1 }];
+  expect(getDefaultBounds(routes, rows, 'down-main')).toEqual([
+    [51, -1],
+    [52, 0],
+  ]);
+  expect(getDefaultBounds(routes, [], 'up-main')).toBeNull();
+});
@@ -0,0 +1,39 @@
+// runs.js
+
+// Group exceedance rows by RECORDING_ID, one summary per train pass, in time order
+export const summariseRuns = (rows) => {
+  const runs = new Map();
+
+  rows.forEach((row) => {
+    let run = runs.get(row.RECORDING_ID);
+    if (!run) {
+      run = {
+        recordingId: row.RECORDING_ID,
+        start: row.UNIX_TIME,
+        end: row.UNIX_TIME,
+        count: 0,
+        totalScore: 0,
+        maxScore: -Infinity,
+        severityCounts: {},
+      };
+      runs.set(row.RECORDING_ID, run);
+    }
+
+    run.start = Math.min(run.start, row.UNIX_TIME);
+    run.end = Math.max(run.end, row.UNIX_TIME);
+    run.count += 1;
+    run.totalScore += row.SCORE;
+    run.maxScore = Math.max(run.maxScore, row.SCORE);
+    run.severityCounts[row.severity] = (run.severityCounts[row.severity] || 0) + 1;
+  });
+
+  return [...runs.values()]
+    .map(({ totalScore, ...run }) => ({ ...run, meanScore: totalScore / run.count }))
+    .sort((a, b) => a.start - b.start);
+};
+
+// Points of a run ordered by time, for drawing its path along the route
+export const getRunPath = (rows) =>
+  [...rows]
+    .sort((a, b) => a.UNIX_TIME - b.UNIX_TIME)
+    .map((row) => [row.LATITUDE, row.LONGITUDE]);
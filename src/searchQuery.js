@@ -0,0 +1,132 @@
+// searchQuery.js
+
+// Fields that can be used as `field:value`, `field>=value` or `field:min..max`
+export const QUERY_FIELDS = {
+  score: { column: 'SCORE', type: 'number', description: 'Temperature in °C' },
+  temp: { column: 'SCORE', type: 'number', description: 'Alias of score' },
+  recording: { column: 'RECORDING_ID', type: 'number', description: 'Recording ID' },
+  yards: { column: 'POSITION_YARDS', type: 'number', description: 'Track position in yards' },
+  lat: { column: 'LATITUDE', type: 'number', description: 'Latitude' },
+  lng: { column: 'LONGITUDE', type: 'number', description: 'Longitude' },
+  severity: { type: 'severity', description: 'Severity band, e.g. severity:high' },
+  after: { type: 'date', description: 'On or after a date, e.g. after:2022-06-17' },
+  before: { type: 'date', description: 'Before a date, e.g. before:2022-07-01' },
+};
+
+const COMPARISONS = {
+  ':': (a, b) => a === b,
+  '=': (a, b) => a === b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+const QUALIFIED_TOKEN = /^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i;
+
+// Split a query into whitespace-separated tokens, keeping "quoted phrases" together
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /"[^"]*"?|\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+const parseNumber = (value) => (value.trim() === '' ? NaN : Number(value));
+
+// Substring match against the displayed fields, as the plain search box always did
+const freeTextClause = (term) => {
+  const searchLower = term.toLowerCase();
+  return (row) =>
+    row.date.toLowerCase().includes(searchLower) ||
+    row.SCORE.toString().includes(searchLower) ||
+    row.POSITION_YARDS.toString().includes(searchLower) ||
+    row.LATITUDE.toString().includes(searchLower) ||
+    row.LONGITUDE.toString().includes(searchLower) ||
+    row.RECORDING_ID.toString().includes(searchLower);
+};
+
+// Build the test for a numeric field, accepting `min..max` ranges with either end open
+const numberClause = (column, operator, value) => {
+  if (operator === ':' && value.includes('..')) {
+    const [min, max] = value.split('..').map((part) => (part === '' ? null : parseNumber(part)));
+    if ([min, max].some((bound) => bound !== null && Number.isNaN(bound))) {
+      return { error: `"${value}" is not a numeric range` };
+    }
+    return {
+      test: (row) => (min === null || row[column] >= min) && (max === null || row[column] <= max),
+    };
+  }
+
+  const number = parseNumber(value);
+  if (Number.isNaN(number)) return { error: `"${value}" is not a number` };
+  return { test: (row) => COMPARISONS[operator](row[column], number) };
+};
+
+// Local midnight for a date, or the exact time when one is given
+const parseDate = (value) => {
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00`).getTime()
+    : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time / 1000;
+};
+
+const buildClause = (name, operator, value, severityBands) => {
+  const field = QUERY_FIELDS[name];
+  if (!field) return { error: `Unknown field "${name}"` };
+  if (value === '') return { error: `Missing value for ${name}` };
+
+  if (field.type === 'number') return numberClause(field.column, operator, value);
+
+  if (operator !== ':' && operator !== '=') {
+    return { error: `${name} only supports ${name}:value` };
+  }
+
+  if (field.type === 'severity') {
+    const band = severityBands.find(
+      (candidate) =>
+        candidate.id.toLowerCase() === value.toLowerCase() ||
+        candidate.name.toLowerCase() === value.toLowerCase()
+    );
+    if (!band) return { error: `Unknown severity "${value}"` };
+    return { test: (row) => row.severity === band.id };
+  }
+
+  const time = parseDate(value);
+  if (time === null) return { error: `"${value}" is not a date (use YYYY-MM-DD)` };
+  return name === 'after'
+    ? { test: (row) => row.UNIX_TIME >= time }
+    : { test: (row) => row.UNIX_TIME < time };
+};
+
+// Parse a search query into clauses that must all match, plus any errors with their
+// character positions. Unqualified terms fall back to free-text matching.
+export const parseQuery = (text, severityBands) => {
+  const clauses = [];
+  const errors = [];
+
+  tokenize(text).forEach((token) => {
+    const match = token.text.startsWith('"') ? null : token.text.match(QUALIFIED_TOKEN);
+    if (!match) {
+      const term = token.text.replace(/^"|"$/g, '');
+      if (term) clauses.push(freeTextClause(term));
+      return;
+    }
+
+    const [, name, operator, value] = match;
+    const { test, error } = buildClause(name.toLowerCase(), operator, value, severityBands);
+    if (error) {
+      errors.push({ start: token.start, end: token.end, message: error });
+    } else {
+      clauses.push(test);
+    }
+  });
+
+  return { clauses, errors };
+};
+
+// Whether a row satisfies every valid clause of a parsed query
+export const matchesQuery = (row, query) => query.clauses.every((test) => test(row));
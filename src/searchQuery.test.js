@@ -0,0 +1,55 @@
+import { parseQuery, matchesQuery } from './searchQuery';
+import { DEFAULT_SEVERITY_BANDS } from './severityBands';
+
+// A reading as the search box sees it, with severity and the displayed date derived
+const reading = {
+  UNIX_TIME: new Date('2022-06-17T13:00:00').getTime() / 1000,
+  RECORDING_ID: 12,
+  POSITION_YARDS: 1500,
+  LATITUDE: 51.5,
+  LONGITUDE: -0.1,
+  SCORE: 62,
+  severity: 'medium',
+  date: '17/06/2022, 13:00:00',
+};
+
+const matches = (text) => matchesQuery(reading, parseQuery(text, DEFAULT_SEVERITY_BANDS));
+
+test('compares numeric fields', () => {
+  expect(matches('score>=62')).toBe(true);
+  expect(matches('score>62')).toBe(false);
+  expect(matches('temp:62')).toBe(true);
+});
+
+test('accepts ranges with either end open', () => {
+  expect(matches('yards:1000..2000')).toBe(true);
+  expect(matches('yards:1600..')).toBe(false);
+  expect(matches('yards:..1500')).toBe(true);
+});
+
+test('matches severity by id or name, in any case', () => {
+  expect(matches('severity:Medium')).toBe(true);
+  expect(matches('severity:high')).toBe(false);
+});
+
+test('dates run from local midnight, with before excluding its day', () => {
+  expect(matches('after:2022-06-17')).toBe(true);
+  expect(matches('before:2022-06-17')).toBe(false);
+  expect(matches('before:2022-06-18')).toBe(true);
+});
+
+test('combines clauses with free text and quoted phrases', () => {
+  expect(matches('recording:12 1500')).toBe(true);
+  expect(matches('recording:12 9999')).toBe(false);
+  expect(matches('"17/06/2022, 13"')).toBe(true);
+});
+
+test('reports errors with their positions and ignores those clauses', () => {
+  const query = parseQuery('score>=60 colour:red yards:a..b severity<high', DEFAULT_SEVERITY_BANDS);
+  expect(query.errors).toEqual([
+    { start: 10, end: 20, message: 'Unknown field "colour"' },
+    { start: 21, end: 31, message: '"a..b" is not a numeric range' },
+    { start: 32, end: 45, message: 'severity only supports severity:value' },
+  ]);
+  expect(matchesQuery(reading, query)).toBe(true);
+});
@@ -0,0 +1,85 @@
+/* eslint-disable no-restricted-globals */
+// service-worker.js
+// Built by react-scripts into build/service-worker.js, with the app's build files
+// injected as self.__WB_MANIFEST. Only registered in production builds.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import {
+  DATA_CACHE,
+  TILE_CACHE,
+  TILE_HOSTS,
+  MAX_TILES,
+  ROUTE_MANIFEST_URL,
+} from './offlineCache';
+
+clientsClaim();
+
+// App shell: the JS, CSS and index.html of this build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations are answered with index.html so the app opens without signal
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Route manifest, CSV data and route geometry: fresh when online, cached when not
+const isRouteData = (url) =>
+  url.origin === self.location.origin &&
+  (url.pathname === ROUTE_MANIFEST_URL || /\.(csv|geojson)$/.test(url.pathname));
+
+registerRoute(
+  ({ url }) => isRouteData(url),
+  new NetworkFirst({ cacheName: DATA_CACHE, networkTimeoutSeconds: 5 })
+);
+
+// Map tiles: served from the cache when present, otherwise fetched and kept. Tiles saved
+// ahead of time by the Offline Map Tiles panel share this cache; beyond MAX_TILES the
+// least recently used are dropped.
+registerRoute(
+  ({ url }) => TILE_HOSTS.some((host) => url.hostname.endsWith(host)),
+  new CacheFirst({
+    cacheName: TILE_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: MAX_TILES, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Fetch every route's CSV files and geometry listed in the manifest into the data cache
+const cacheRouteData = async () => {
+  const cache = await caches.open(DATA_CACHE);
+  const response = await fetch(ROUTE_MANIFEST_URL);
+  const manifest = await response.clone().json();
+  await cache.put(ROUTE_MANIFEST_URL, response);
+  await cache.addAll(
+    manifest.routes.flatMap((route) => [
+      ...route.dataFiles,
+      ...(route.geometry ? [route.geometry] : []),
+    ])
+  );
+};
+
+// Cache the data on install so it is available offline before it is first viewed;
+// a failure here only means the data is cached later, as it is used
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    cacheRouteData().catch((error) => console.error('Could not cache route data:', error))
+  );
+});
+
+// Let a waiting service worker take over when the page asks
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,40 @@
+// serviceWorkerRegistration.js
+
+// Register the service worker that keeps the app, data and map tiles available
+// offline. Development builds skip it so edits are never served from a stale cache.
+// `onUpdate` is called with the registration when a new version is installed and
+// waiting for this one to hand over.
+export const register = ({ onUpdate } = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        // A version installed on an earlier visit may already be waiting
+        if (registration.waiting && navigator.serviceWorker.controller && onUpdate) {
+          onUpdate(registration);
+        }
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          if (!worker) return;
+          worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller && onUpdate) {
+              onUpdate(registration);
+            }
+          });
+        });
+      })
+      .catch((error) => console.error('Service worker registration failed:', error));
+  });
+};
+
+// Have the waiting version take over now, reloading the page once it controls it
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), {
+    once: true,
+  });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
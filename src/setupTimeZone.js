@@ -0,0 +1,8 @@
+// setupTimeZone.js
+// Jest global setup: run tests in a fixed time zone with clock changes, so local-day
+// behaviour is tested the same way on every machine
+const setupTimeZone = () => {
+  process.env.TZ = 'Europe/London';
+};
+
+export default setupTimeZone;
@@ -0,0 +1,88 @@
+// severityBands.js
+
+const STORAGE_KEY = 'severityBands';
+
+// Bands are kept ordered from the highest threshold down; a reading belongs to the
+// first band whose threshold it reaches, and anything below every threshold falls
+// into the last (lowest) band.
+export const DEFAULT_SEVERITY_BANDS = [
+  { id: 'high', name: 'High', threshold: 70, color: '#ef4444' },
+  { id: 'medium', name: 'Medium', threshold: 55, color: '#f59e0b' },
+  { id: 'low', name: 'Low', threshold: 0, color: '#22c55e' },
+];
+
+const FALLBACK_COLOR = '#666666';
+
+const isValidBand = (band) =>
+  band &&
+  typeof band.id === 'string' &&
+  typeof band.name === 'string' &&
+  band.name.trim() !== '' &&
+  typeof band.threshold === 'number' &&
+  Number.isFinite(band.threshold) &&
+  /^#[0-9a-f]{6}$/i.test(band.color);
+
+// Order bands from the highest threshold down
+export const sortBands = (bands) => [...bands].sort((a, b) => b.threshold - a.threshold);
+
+// Returns a list of problems with a set of bands, or an empty array
+export const validateBands = (bands) => {
+  const problems = [];
+  if (bands.length === 0) problems.push('Define at least one band');
+  if (bands.some((band) => !isValidBand(band))) {
+    problems.push('Every band needs a name, a numeric threshold and a colour');
+  }
+  const thresholds = bands.map((band) => band.threshold);
+  if (new Set(thresholds).size !== thresholds.length) {
+    problems.push('Thresholds must be unique');
+  }
+  return problems;
+};
+
+// Read the saved bands, falling back to the defaults if none are stored or they are invalid
+export const loadSeverityBands = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored) && validateBands(stored).length === 0) {
+      return sortBands(stored);
+    }
+  } catch (error) {
+    console.error('Could not read severity bands:', error);
+  }
+  return DEFAULT_SEVERITY_BANDS;
+};
+
+export const saveSeverityBands = (bands) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bands));
+};
+
+// Id of the band a temperature falls into
+export const classifySeverity = (score, bands) => {
+  const band = bands.find((candidate) => score >= candidate.threshold);
+  return (band || bands[bands.length - 1]).id;
+};
+
+export const getBand = (bands, id) => bands.find((band) => band.id === id);
+
+export const getBandColor = (bands, id) => {
+  const band = getBand(bands, id);
+  return band ? band.color : FALLBACK_COLOR;
+};
+
+export const getBandName = (bands, id) => {
+  const band = getBand(bands, id);
+  return band ? band.name : id;
+};
+
+// Light tint of a band colour for table badges with black text
+export const getBandTint = (color, amount = 0.8) => {
+  const channels = [1, 3, 5].map((offset) => parseInt(color.slice(offset, offset + 2), 16));
+  const tinted = channels.map((channel) => Math.round(channel + (255 - channel) * amount));
+  return `rgb(${tinted.join(', ')})`;
+};
+
+// Rank used to sort rows by severity, higher is more severe
+export const getSeverityRank = (bands, id) => {
+  const index = bands.findIndex((band) => band.id === id);
+  return index === -1 ? 0 : bands.length - index;
+};
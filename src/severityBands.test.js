@@ -0,0 +1,52 @@
+import {
+  DEFAULT_SEVERITY_BANDS,
+  classifySeverity,
+  validateBands,
+  loadSeverityBands,
+  getBandTint,
+  getSeverityRank,
+} from './severityBands';
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('classifies a reading into the first band whose threshold it reaches', () => {
+  expect(classifySeverity(70, DEFAULT_SEVERITY_BANDS)).toBe('high');
+  expect(classifySeverity(69.9, DEFAULT_SEVERITY_BANDS)).toBe('medium');
+  expect(classifySeverity(55, DEFAULT_SEVERITY_BANDS)).toBe('medium');
+  // Below every threshold still falls into the lowest band
+  expect(classifySeverity(-5, DEFAULT_SEVERITY_BANDS)).toBe('low');
+});
+
+test('reports every problem with a set of bands', () => {
+  expect(validateBands(DEFAULT_SEVERITY_BANDS)).toEqual([]);
+  expect(validateBands([])).toEqual(['Define at least one band']);
+  expect(
+    validateBands([
+      { id: 'a', name: 'A', threshold: 60, color: '#ff0000' },
+      { id: 'b', name: ' ', threshold: 60, color: 'red' },
+    ])
+  ).toEqual([
+    'Every band needs a name, a numeric threshold and a colour',
+    'Thresholds must be unique',
+  ]);
+});
+
+test('loads saved bands highest first and ignores invalid ones', () => {
+  const bands = [
+    { id: 'watch', name: 'Watch', threshold: 40, color: '#3b82f6' },
+    { id: 'critical', name: 'Critical', threshold: 80, color: '#7f1d1d' },
+  ];
+  window.localStorage.setItem('severityBands', JSON.stringify(bands));
+  expect(loadSeverityBands().map((band) => band.id)).toEqual(['critical', 'watch']);
+
+  window.localStorage.setItem('severityBands', JSON.stringify([{ id: 'broken' }]));
+  expect(loadSeverityBands()).toBe(DEFAULT_SEVERITY_BANDS);
+});
+
+test('ranks and tints bands', () => {
+  expect(getSeverityRank(DEFAULT_SEVERITY_BANDS, 'high')).toBe(3);
+  expect(getSeverityRank(DEFAULT_SEVERITY_BANDS, 'gone')).toBe(0);
+  expect(getBandTint('#000000', 0.5)).toBe('rgb(128, 128, 128)');
+});
@@ -0,0 +1,69 @@
+// statistics.js
+import { binByPeriod } from './timeline';
+import { summariseRuns } from './runs';
+
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+
+// Value at fraction `p` (0-1) of ascending-sorted values, interpolating between neighbours
+export const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return null;
+  const position = (sortedValues.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return (
+    sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower)
+  );
+};
+
+// Exceedances in the 7 days up to the latest row against the 7 days before that. The
+// data is historical, so weeks are anchored to the latest reading rather than today.
+export const getWeekOverWeekTrend = (rows) => {
+  if (rows.length === 0) return null;
+  const latest = rows.reduce((max, row) => Math.max(max, row.UNIX_TIME), -Infinity);
+  let current = 0;
+  let previous = 0;
+  rows.forEach((row) => {
+    const age = latest - row.UNIX_TIME;
+    if (age < WEEK_SECONDS) current += 1;
+    else if (age < 2 * WEEK_SECONDS) previous += 1;
+  });
+  return {
+    current,
+    previous,
+    // Fractional change, or null when there is nothing to compare against
+    change: previous === 0 ? null : (current - previous) / previous,
+    weekEnding: latest,
+  };
+};
+
+// Aggregates of the given rows for the statistics panel
+export const computeStatistics = (rows, severityBands) => {
+  const scores = rows.map((row) => row.SCORE).sort((a, b) => a - b);
+  const severityCounts = Object.fromEntries(severityBands.map((band) => [band.id, 0]));
+  rows.forEach((row) => {
+    severityCounts[row.severity] = (severityCounts[row.severity] || 0) + 1;
+  });
+
+  return {
+    count: rows.length,
+    severityCounts: severityBands.map((band) => ({
+      id: band.id,
+      name: band.name,
+      color: band.color,
+      count: severityCounts[band.id],
+    })),
+    meanScore:
+      scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : null,
+    maxScore: scores.length > 0 ? scores[scores.length - 1] : null,
+    p50Score: percentile(scores, 0.5),
+    p90Score: percentile(scores, 0.9),
+    p95Score: percentile(scores, 0.95),
+    perDay: binByPeriod(rows, 'day'),
+    perRecording: summariseRuns(rows).map((run) => ({
+      recordingId: run.recordingId,
+      count: run.count,
+      maxScore: run.maxScore,
+    })),
+    trend: getWeekOverWeekTrend(rows),
+  };
+};
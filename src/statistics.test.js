@@ -0,0 +1,39 @@
+import { percentile, getWeekOverWeekTrend, computeStatistics } from './statistics';
+import { DEFAULT_SEVERITY_BANDS } from './severityBands';
+
+const DAY = 24 * 60 * 60;
+
+test('percentile interpolates between neighbouring values', () => {
+  expect(percentile([1, 2, 3, 4], 0.5)).toBe(2.5);
+  expect(percentile([1, 2, 3, 4], 0.9)).toBeCloseTo(3.7);
+  expect(percentile([10, 20], 0.95)).toBeCloseTo(19.5);
+});
+
+test('percentile handles single and empty inputs', () => {
+  expect(percentile([42], 0.9)).toBe(42);
+  expect(percentile([], 0.5)).toBeNull();
+});
+
+test('week-over-week trend is anchored to the latest reading', () => {
+  const latest = 1655467200;
+  const rows = [0, 1, 2, 8, 9].map((days) => ({ UNIX_TIME: latest - days * DAY }));
+  expect(getWeekOverWeekTrend(rows)).toEqual({
+    current: 3,
+    previous: 2,
+    change: 0.5,
+    weekEnding: latest,
+  });
+  expect(getWeekOverWeekTrend([{ UNIX_TIME: latest }]).change).toBeNull();
+});
+
+test('computeStatistics counts every band and summarises scores', () => {
+  const rows = [
+    { UNIX_TIME: 1655467200, RECORDING_ID: 1, SCORE: 50, severity: 'low' },
+    { UNIX_TIME: 1655467260, RECORDING_ID: 1, SCORE: 72, severity: 'high' },
+  ];
+  const statistics = computeStatistics(rows, DEFAULT_SEVERITY_BANDS);
+  expect(statistics.severityCounts.map((band) => band.count)).toEqual([1, 0, 1]);
+  expect(statistics.meanScore).toBe(61);
+  expect(statistics.maxScore).toBe(72);
+  expect(statistics.p50Score).toBe(61);
+});
@@ -0,0 +1,61 @@
+// timeline.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight at the start of the day or (Monday-based) week containing a time
+const startOfPeriod = (time, period) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  if (period === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  return date.getTime();
+};
+
+const nextPeriod = (start, period) => {
+  const date = new Date(start);
+  date.setDate(date.getDate() + (period === 'week' ? 7 : 1));
+  return date.getTime();
+};
+
+// Count exceedances per day or week, including empty periods so gaps show on the axis
+export const binByPeriod = (rows, period = 'day') => {
+  if (rows.length === 0) return [];
+
+  const times = rows.map((row) => row.UNIX_TIME * 1000);
+  const first = startOfPeriod(times.reduce((a, b) => Math.min(a, b)), period);
+  const last = times.reduce((a, b) => Math.max(a, b));
+
+  const bins = [];
+  for (let start = first; start <= last; start = nextPeriod(start, period)) {
+    bins.push({
+      start,
+      end: nextPeriod(start, period) - 1,
+      label: new Date(start).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+      count: 0,
+    });
+  }
+
+  times.forEach((time) => {
+    // Days can be 23 or 25 hours long around clock changes, so search near the estimate
+    let index = Math.min(
+      bins.length - 1,
+      Math.floor((time - first) / (period === 'week' ? 7 * DAY_MS : DAY_MS))
+    );
+    while (index > 0 && time < bins[index].start) index -= 1;
+    while (index < bins.length - 1 && time > bins[index].end) index += 1;
+    bins[index].count += 1;
+  });
+
+  return bins;
+};
+
+// Format epoch milliseconds for a datetime-local input, in local time. Seconds are kept
+// so a range ending at a bin's 23:59:59 still includes that last minute's readings.
+export const toDateTimeLocal = (time) => {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(
+    date.getHours()
+  )}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
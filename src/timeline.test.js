@@ -0,0 +1,28 @@
+import { binByPeriod, toDateTimeLocal } from './timeline';
+
+// Tests run in Europe/London (see setupTimeZone.js), where the clocks went forward on
+// 31 March 2024
+const at = (text) => ({ UNIX_TIME: new Date(text).getTime() / 1000 });
+
+test('day bins follow local days across a clock change', () => {
+  const bins = binByPeriod([
+    at('2024-03-30T12:00:00'),
+    at('2024-03-31T23:30:00'),
+    at('2024-04-01T00:30:00'),
+    at('2024-04-01T23:59:59'),
+  ]);
+  expect(bins.map((bin) => bin.count)).toEqual([1, 1, 2]);
+  // The day the clocks go forward is an hour short
+  expect(bins[1].end - bins[1].start + 1).toBe(23 * 60 * 60 * 1000);
+});
+
+test('empty periods are kept so gaps show', () => {
+  const bins = binByPeriod([at('2024-06-03T08:00:00'), at('2024-06-20T08:00:00')], 'week');
+  expect(bins.map((bin) => bin.count)).toEqual([1, 0, 1]);
+});
+
+test('datetime-local values keep seconds', () => {
+  expect(toDateTimeLocal(new Date('2024-06-03T23:59:59.999').getTime())).toBe(
+    '2024-06-03T23:59:59'
+  );
+});
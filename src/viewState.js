@@ -0,0 +1,130 @@
+// viewState.js
+
+// Filters, sort and map view that make up what the dashboard is showing
+export const DEFAULT_VIEW_STATE = {
+  // Route id, 'all' for the overview, or null for the manifest's first route
+  selectedRoute: null,
+  temperatureRange: [40, 80],
+  searchTerm: '',
+  selectedSeverity: 'all',
+  // 'all', 'any' or 'none' annotated, or an annotation status id
+  annotationStatus: 'all',
+  dateFrom: '',
+  dateTo: '',
+  selectedRun: null,
+  // Polygon drawn on the map as [[lat, lng], ...], or null for no area filter
+  selectedArea: null,
+  sortConfig: { key: null, direction: 'asc' },
+  isMapExpanded: false,
+  // { center: [lat, lng], zoom }, or null to fit the map to the data
+  mapView: null,
+};
+
+const parseNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Area vertices are written as "lat,lng;lat,lng;..." to five decimal places (about a metre)
+const formatArea = (area) =>
+  area.map(([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`).join(';');
+
+const parseArea = (value) => {
+  if (!value) return null;
+  const area = value.split(';').map((vertex) => vertex.split(',').map(parseNumber));
+  const isValid =
+    area.length >= 3 &&
+    area.every((vertex) => vertex.length === 2 && vertex.every((number) => number !== null));
+  return isValid ? area : null;
+};
+
+// A blank temperature bound is kept as '' to match the range inputs
+const parseTemperature = (value, fallback) => {
+  if (value === null) return fallback;
+  if (value === '') return '';
+  const number = parseNumber(value);
+  return number === null ? fallback : number;
+};
+
+// Serialise a view to query-string parameters, leaving out anything at its default
+export const viewStateToParams = (state) => {
+  const params = new URLSearchParams();
+  const defaults = DEFAULT_VIEW_STATE;
+
+  if (state.selectedRoute) params.set('route', state.selectedRoute);
+  if (state.temperatureRange[0] !== defaults.temperatureRange[0]) {
+    params.set('tmin', state.temperatureRange[0]);
+  }
+  if (state.temperatureRange[1] !== defaults.temperatureRange[1]) {
+    params.set('tmax', state.temperatureRange[1]);
+  }
+  if (state.searchTerm) params.set('q', state.searchTerm);
+  if (state.selectedSeverity !== defaults.selectedSeverity) {
+    params.set('severity', state.selectedSeverity);
+  }
+  if (state.annotationStatus !== defaults.annotationStatus) {
+    params.set('status', state.annotationStatus);
+  }
+  if (state.dateFrom) params.set('from', state.dateFrom);
+  if (state.dateTo) params.set('to', state.dateTo);
+  if (state.selectedRun !== null) params.set('run', state.selectedRun);
+  if (state.selectedArea) params.set('area', formatArea(state.selectedArea));
+  if (state.sortConfig.key) {
+    params.set('sort', state.sortConfig.key);
+    params.set('dir', state.sortConfig.direction);
+  }
+  if (state.isMapExpanded) params.set('expanded', '1');
+  if (state.mapView) {
+    params.set(
+      'map',
+      [
+        state.mapView.center[0].toFixed(5),
+        state.mapView.center[1].toFixed(5),
+        state.mapView.zoom,
+      ].join(',')
+    );
+  }
+
+  return params;
+};
+
+// Rebuild a full view from query-string parameters, defaulting anything missing or invalid
+export const paramsToViewState = (params) => {
+  const defaults = DEFAULT_VIEW_STATE;
+  const run = parseNumber(params.get('run'));
+  const map = (params.get('map') || '').split(',').map(parseNumber);
+  const [lat, lng, zoom] = map;
+
+  return {
+    selectedRoute: params.get('route') || defaults.selectedRoute,
+    temperatureRange: [
+      parseTemperature(params.get('tmin'), defaults.temperatureRange[0]),
+      parseTemperature(params.get('tmax'), defaults.temperatureRange[1]),
+    ],
+    searchTerm: params.get('q') || defaults.searchTerm,
+    selectedSeverity: params.get('severity') || defaults.selectedSeverity,
+    annotationStatus: params.get('status') || defaults.annotationStatus,
+    dateFrom: params.get('from') || defaults.dateFrom,
+    dateTo: params.get('to') || defaults.dateTo,
+    selectedRun: run === null ? defaults.selectedRun : run,
+    selectedArea: parseArea(params.get('area')) || defaults.selectedArea,
+    sortConfig: params.get('sort')
+      ? { key: params.get('sort'), direction: params.get('dir') === 'desc' ? 'desc' : 'asc' }
+      : defaults.sortConfig,
+    isMapExpanded: params.get('expanded') === '1',
+    mapView:
+      map.length === 3 && map.every((number) => number !== null)
+        ? { center: [lat, lng], zoom }
+        : defaults.mapView,
+  };
+};
+
+export const readViewStateFromUrl = () =>
+  paramsToViewState(new URLSearchParams(window.location.search));
+
+// Replace the current URL's query string without adding a history entry
+export const writeViewStateToUrl = (state) => {
+  const query = viewStateToParams(state).toString();
+  const { pathname, hash } = window.location;
+  window.history.replaceState(null, '', `${pathname}${query ? `?${query}` : ''}${hash}`);
+};
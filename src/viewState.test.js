@@ -0,0 +1,42 @@
+import { DEFAULT_VIEW_STATE, viewStateToParams, paramsToViewState } from './viewState';
+
+const roundTrip = (state) =>
+  paramsToViewState(new URLSearchParams(viewStateToParams(state).toString()));
+
+test('the default view needs no parameters', () => {
+  expect(viewStateToParams(DEFAULT_VIEW_STATE).toString()).toBe('');
+  expect(paramsToViewState(new URLSearchParams())).toEqual(DEFAULT_VIEW_STATE);
+});
+
+test('a customised view survives a round trip through the URL', () => {
+  const state = {
+    selectedRoute: 'up-main',
+    temperatureRange: [45.5, ''],
+    searchTerm: 'score>=60 "Up Main"',
+    selectedSeverity: 'high',
+    annotationStatus: 'none',
+    dateFrom: '2022-06-17T00:00:00',
+    dateTo: '2022-06-17T23:59:59',
+    selectedRun: 12,
+    selectedArea: [
+      [51.5, -0.1],
+      [51.51, -0.1],
+      [51.51, -0.09],
+    ],
+    sortConfig: { key: 'SCORE', direction: 'desc' },
+    isMapExpanded: true,
+    mapView: { center: [51.50512, -0.09876], zoom: 14 },
+  };
+  expect(roundTrip(state)).toEqual(state);
+});
+
+test('invalid parameters fall back to the defaults', () => {
+  const state = paramsToViewState(
+    new URLSearchParams('tmin=hot&run=x&area=51.5,-0.1;51.6&map=51.5,-0.1&dir=sideways&sort=SCORE')
+  );
+  expect(state.temperatureRange).toEqual(DEFAULT_VIEW_STATE.temperatureRange);
+  expect(state.selectedRun).toBeNull();
+  expect(state.selectedArea).toBeNull();
+  expect(state.mapView).toBeNull();
+  expect(state.sortConfig).toEqual({ key: 'SCORE', direction: 'asc' });
+});
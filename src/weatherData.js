@@ -0,0 +1,128 @@
+// weatherData.js
+import Papa from 'papaparse';
+import { isEmptyRow } from './dataValidation';
+
+export const WEATHER_HEADER = ['TIMESTAMP', 'STATION', 'AIR_TEMP', 'SOLAR_RADIATION'];
+
+// An exceedance is only matched to a reading taken within this long of it
+export const MAX_WEATHER_GAP_SECONDS = 3 * 60 * 60;
+
+// Air temperature at or below which a day counts as mild in the ambient chart
+export const MILD_AIR_TEMP = 20;
+
+// Station choice that matches each exceedance to the nearest reading from any station
+export const ANY_STATION = '*';
+
+// Timestamps may be Unix seconds, Unix milliseconds or a date string
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') return value > 1e12 ? Math.round(value / 1000) : value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.round(time / 1000);
+};
+
+const getProblem = (row) => {
+  if (parseTimestamp(row.TIMESTAMP) === null) return 'Unreadable timestamp';
+  if (typeof row.AIR_TEMP !== 'number' || row.AIR_TEMP < -40 || row.AIR_TEMP > 60) {
+    return 'Air temperature missing or out of range';
+  }
+  // Solar radiation may be blank, for stations without a pyranometer
+  const solar = row.SOLAR_RADIATION ?? null;
+  if (solar !== null && (typeof solar !== 'number' || solar < 0)) {
+    return 'Solar radiation unreadable or negative';
+  }
+  return null;
+};
+
+// Parse a weather CSV (text or File) into readings sorted by time, with the rows that
+// could not be used and why; rejects if the file lacks one of WEATHER_HEADER's columns
+export const parseWeatherCsv = (input) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(input, {
+      header: true,
+      dynamicTyping: true,
+      // Blank lines are skipped below so row indexes match file line numbers
+      skipEmptyLines: false,
+      transformHeader: (header) => header.trim().toUpperCase(),
+      error: reject,
+      complete: (results) => {
+        const missing = WEATHER_HEADER.filter((field) => !results.meta.fields.includes(field));
+        if (missing.length > 0) {
+          reject(new Error(`Missing column(s): ${missing.join(', ')}`));
+          return;
+        }
+        const readings = [];
+        const rejected = [];
+        results.data.forEach((row, index) => {
+          if (isEmptyRow(row)) return;
+          const problem = getProblem(row);
+          if (problem) {
+            // Line numbers count the header as line 1
+            rejected.push({ line: index + 2, reason: problem });
+          } else {
+            readings.push({
+              time: parseTimestamp(row.TIMESTAMP),
+              station: String(row.STATION ?? ''),
+              airTemp: row.AIR_TEMP,
+              solarRadiation: row.SOLAR_RADIATION ?? null,
+            });
+          }
+        });
+        resolve({ readings: readings.sort((a, b) => a.time - b.time), rejected });
+      },
+    });
+  });
+
+// Combine readings from several files, keeping one per station and time
+export const mergeReadings = (existing, incoming) => {
+  const byKey = new Map(
+    [...existing, ...incoming].map((reading) => [`${reading.station}|${reading.time}`, reading])
+  );
+  return [...byKey.values()].sort((a, b) => a.time - b.time);
+};
+
+// Station names in the readings, in alphabetical order
+export const getStations = (readings) =>
+  [...new Set(readings.map((reading) => reading.station))].sort((a, b) => a.localeCompare(b));
+
+// The station to match against: the chosen one if it is still loaded, else the first
+export const resolveStation = (readings, station) => {
+  const stations = getStations(readings);
+  return station === ANY_STATION || stations.includes(station) ? station : stations[0] ?? null;
+};
+
+// Index of the reading closest in time, by binary search over readings sorted by time
+const findNearest = (readings, time) => {
+  let low = 0;
+  let high = readings.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (readings[middle].time < time) low = middle + 1;
+    else high = middle;
+  }
+  if (low > 0 && time - readings[low - 1].time <= readings[low].time - time) return low - 1;
+  return low;
+};
+
+// Add the nearest-in-time reading from `station` (or from any station for ANY_STATION)
+// to each exceedance as ambientTemp, solarRadiation, weatherStation and
+// weatherGapMinutes. Time is the only thing matched on; rows with no reading within
+// MAX_WEATHER_GAP_SECONDS are returned unchanged.
+export const joinWeather = (rows, allReadings, station = ANY_STATION) => {
+  const readings =
+    station === ANY_STATION
+      ? allReadings
+      : allReadings.filter((reading) => reading.station === station);
+  if (readings.length === 0) return rows;
+  return rows.map((row) => {
+    const reading = readings[findNearest(readings, row.UNIX_TIME)];
+    const gap = Math.abs(reading.time - row.UNIX_TIME);
+    if (gap > MAX_WEATHER_GAP_SECONDS) return row;
+    return {
+      ...row,
+      ambientTemp: reading.airTemp,
+      solarRadiation: reading.solarRadiation,
+      weatherStation: reading.station,
+      weatherGapMinutes: Math.round(gap / 60),
+    };
+  });
+};
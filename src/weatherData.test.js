@@ -0,0 +1,76 @@
+import {
+  parseWeatherCsv,
+  joinWeather,
+  resolveStation,
+  mergeReadings,
+  ANY_STATION,
+  MAX_WEATHER_GAP_SECONDS,
+} from './weatherData';
+
+const reading = (station, time, airTemp) => ({ station, time, airTemp, solarRadiation: null });
+
+const readings = [
+  reading('Kew', 1000, 18),
+  reading('Heathrow', 4000, 22),
+  reading('Kew', 8000, 25),
+];
+
+test('parses readings in time order and reports unusable rows by file line', async () => {
+  const csv = [
+    'timestamp,station,air_temp,solar_radiation',
+    '2022-06-17T13:00:00Z,Kew,24.5,',
+    '1655467200,Kew,22,610',
+    '',
+    'soon,Kew,20,',
+    '1655470800000,Kew,99,',
+  ].join('\n');
+  const { readings: parsed, rejected } = await parseWeatherCsv(csv);
+  expect(parsed).toEqual([
+    { time: 1655467200, station: 'Kew', airTemp: 22, solarRadiation: 610 },
+    { time: 1655470800, station: 'Kew', airTemp: 24.5, solarRadiation: null },
+  ]);
+  expect(rejected).toEqual([
+    { line: 5, reason: 'Unreadable timestamp' },
+    { line: 6, reason: 'Air temperature missing or out of range' },
+  ]);
+});
+
+test('rejects files without the weather columns', async () => {
+  await expect(parseWeatherCsv('TIMESTAMP,AIR_TEMP\n1655467200,22\n')).rejects.toThrow(
+    'Missing column(s): STATION, SOLAR_RADIATION'
+  );
+});
+
+test('joins each row to the nearest reading in time', () => {
+  const [early, middle] = joinWeather([{ UNIX_TIME: 1500 }, { UNIX_TIME: 6500 }], readings);
+  expect(early).toEqual(
+    expect.objectContaining({ ambientTemp: 18, weatherStation: 'Kew', weatherGapMinutes: 8 })
+  );
+  expect(middle).toEqual(expect.objectContaining({ ambientTemp: 25, weatherStation: 'Kew' }));
+});
+
+test('leaves rows with no reading close enough unchanged', () => {
+  const row = { UNIX_TIME: 8000 + MAX_WEATHER_GAP_SECONDS + 1 };
+  expect(joinWeather([row], readings)[0]).toBe(row);
+});
+
+test('matches only the chosen station', () => {
+  const [row] = joinWeather([{ UNIX_TIME: 4000 }], readings, 'Kew');
+  expect(row).toEqual(expect.objectContaining({ weatherStation: 'Kew', ambientTemp: 18 }));
+});
+
+test('falls back to the first station when the chosen one is gone', () => {
+  expect(resolveStation(readings, 'Gatwick')).toBe('Heathrow');
+  expect(resolveStation(readings, ANY_STATION)).toBe(ANY_STATION);
+  expect(resolveStation([], 'Kew')).toBeNull();
+});
+
+test('merging keeps one reading per station and time', () => {
+  const merged = mergeReadings(readings, [reading('Kew', 1000, 19), reading('Heathrow', 1000, 17)]);
+  expect(merged.map(({ station, airTemp }) => `${station} ${airTemp}`)).toEqual([
+    'Kew 19',
+    'Heathrow 17',
+    'Heathrow 22',
+    'Kew 25',
+  ]);
+});